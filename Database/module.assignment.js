@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Check of a monitor from one region leased to a prober (a remote probe, or a user checking
+// over HTTP); its result is only accepted and paid once, before the lease expires
+const assignmentSchema = new Schema({
+    monitor: {
+        type: Schema.Types.ObjectId,
+        ref: 'Monitor',
+        required: true
+    },
+    region: {
+        type: String, // one of the monitor's locations
+        required: true
+    },
+    owner: {
+        type: Schema.Types.ObjectId, // user the check is leased to, paid for the check
+        ref: 'User',
+        required: true
+    },
+    probe: {
+        type: Schema.Types.ObjectId, // probe the check is leased to, null for checks over HTTP
+        ref: 'Probe',
+        default: null
+    },
+    status: {
+        type: String, // expired leases are handed to the next prober (the monitor's coverage holds the lock)
+        enum: ['leased', 'completed', 'expired'],
+        default: 'leased'
+    },
+    leasedAt: {
+        type: Date,
+        default: Date.now
+    },
+    leaseExpiresAt: {
+        type: Date,
+        required: true
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    reassignedFrom: {
+        type: Schema.Types.ObjectId, // expired lease this one replaced
+        ref: 'Assignment',
+        default: null
+    },
+    check: {
+        type: Schema.Types.ObjectId, // check stored from the result
+        ref: 'MonitorCheck',
+        default: null
+    }
+});
+
+// A lease past leaseExpiresAt no longer counts, even before it's marked expired
+// (which happens when its monitor and region are leased again)
+assignmentSchema.index({ monitor: 1, region: 1, status: 1 });
+assignmentSchema.index({ owner: 1, probe: 1, status: 1, leaseExpiresAt: 1 });
+
+const Assignment = mongoose.model('Assignment', assignmentSchema);
+
+module.exports = { Assignment };
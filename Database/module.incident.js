@@ -21,6 +21,10 @@ const incidentSchema = new Schema({
         type: Date,
         default: null
     },
+    resolvedAt: {
+        type: Date,
+        default: null
+    },
     duration: {
         type: Number, // in seconds
         default: 0
@@ -32,9 +36,14 @@ const incidentSchema = new Schema({
     },
     type: {
         type: String,
-        enum: ['downtime', 'performance', 'ssl', 'dns', 'other'],
+        enum: ['downtime', 'performance', 'ssl', 'dns', 'flapping', 'other'],
         default: 'downtime'
     },
+    severity: {
+        type: String, // 'critical' incidents mark the monitor down, 'warning' incidents do not
+        enum: ['warning', 'critical'],
+        default: 'critical'
+    },
     reason: {
         type: String,
         default: ''
@@ -51,6 +60,45 @@ const incidentSchema = new Schema({
         type: String,
         required: true
     },
+    locations: [{
+        type: String // locations that failed during the outage
+    }],
+    openKey: {
+        type: String, // set while open (e.g. 'outage', 'ssl'); unique per monitor so only one instance can open it
+        default: undefined
+    },
+    startCheck: {
+        type: Schema.Types.ObjectId,
+        ref: 'MonitorCheck',
+        default: null
+    },
+    endCheck: {
+        type: Schema.Types.ObjectId,
+        ref: 'MonitorCheck',
+        default: null
+    },
+    checks: [{
+        type: Schema.Types.ObjectId, // consecutive checks that confirmed the outage and the recovery
+        ref: 'MonitorCheck'
+    }],
+    dependents: [{
+        type: Schema.Types.ObjectId, // child monitors that failed because of this outage
+        ref: 'Monitor'
+    }],
+    contentChange: {
+        previousHash: {
+            type: String,
+            default: null
+        },
+        currentHash: {
+            type: String,
+            default: null
+        },
+        diff: {
+            type: String, // line diff of the normalized content ("+ " added, "- " removed)
+            default: null
+        }
+    },
     notes: [{
         text: String,
         createdBy: {
@@ -76,6 +124,12 @@ const incidentSchema = new Schema({
     }
 });
 
+incidentSchema.index({ monitor: 1, resolvedAt: 1 });
+incidentSchema.index(
+    { monitor: 1, openKey: 1 },
+    { unique: true, partialFilterExpression: { openKey: { $exists: true } } }
+);
+
 const Incident = mongoose.model('Incident', incidentSchema);
 
 module.exports = { Incident }; 
\ No newline at end of file
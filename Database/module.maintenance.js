@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { isValidTimezone, validateMaintenanceWindow } = require('../utils/maintenanceWindow');
+
+const maintenanceSchema = new Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // A window covers one monitor or every monitor of a website
+    monitor: {
+        type: Schema.Types.ObjectId,
+        ref: 'Monitor',
+        default: null
+    },
+    website: {
+        type: Schema.Types.ObjectId,
+        ref: 'Website',
+        default: null
+    },
+    recurrence: {
+        type: String, // 'none' for a one-off window between startTime and endTime
+        enum: ['none', 'cron', 'rrule'],
+        default: 'none'
+    },
+    rule: {
+        type: String, // cron expression (e.g. "0 2 * * 2") or RRULE (e.g. "FREQ=WEEKLY;BYDAY=TU;BYHOUR=2")
+        default: null,
+        trim: true
+    },
+    startTime: {
+        type: Date, // start of a one-off window; recurring windows don't start before it
+        default: null
+    },
+    endTime: {
+        type: Date, // end of a one-off window; recurring windows don't start after it
+        default: null
+    },
+    duration: {
+        type: Number, // in minutes, length of each recurring occurrence
+        default: 60,
+        min: 1
+    },
+    timezone: {
+        type: String, // IANA timezone the rule is evaluated in
+        default: 'UTC',
+        validate: {
+            validator: isValidTimezone,
+            message: props => `${props.value} is not a valid timezone`
+        }
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+maintenanceSchema.pre('validate', function (next) {
+    if (Boolean(this.monitor) === Boolean(this.website)) {
+        this.invalidate('monitor', 'Maintenance must cover either a monitor or a website');
+    }
+    
+    // An invalid timezone is reported by its own validator
+    const error = isValidTimezone(this.timezone) && validateMaintenanceWindow(this);
+    if (error) {
+        this.invalidate(this.recurrence === 'none' ? 'startTime' : 'rule', error);
+    }
+    next();
+});
+
+// Active windows are looked up for every check
+maintenanceSchema.index({ monitor: 1, active: 1 });
+maintenanceSchema.index({ website: 1, active: 1 });
+
+const Maintenance = mongoose.model('Maintenance', maintenanceSchema);
+
+module.exports = { Maintenance };
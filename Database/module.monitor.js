@@ -1,5 +1,135 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { isValidStatusSpec } = require('../utils/statusCodes');
+const { isValidTimezone } = require('../utils/maintenanceWindow');
+const { hasCheckType } = require('../services/checkTypes');
+const { hasRequestSecrets } = require('../utils/requestConfig');
+
+// Regions monitors can be checked from, and the one used for monitors without locations
+const REGIONS = ['us-east', 'us-west', 'eu-central', 'ap-south', 'ap-east'];
+const DEFAULT_REGION = 'us-east';
+
+// Custom HTTP request settings (used by http monitors and transaction steps)
+const requestSchema = new Schema({
+    method: {
+        type: String,
+        enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'],
+        default: 'GET'
+    },
+    headers: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    body: {
+        type: String,
+        default: null
+    },
+    auth: {
+        scheme: {
+            type: String,
+            enum: ['none', 'basic', 'bearer'],
+            default: 'none'
+        },
+        username: {
+            type: String,
+            default: null
+        },
+        password: {
+            type: String, // never returned by the API
+            default: null
+        },
+        token: {
+            type: String, // never returned by the API
+            default: null
+        }
+    }
+}, { _id: false });
+
+// Response assertion rule
+const assertionSchema = new Schema({
+    type: {
+        type: String,
+        enum: ['contains', 'notContains', 'regex', 'jsonPath', 'maxSize'],
+        required: true
+    },
+    path: {
+        type: String, // JSONPath expression, e.g. $.status
+        default: null
+    },
+    operator: {
+        type: String, // jsonPath only
+        enum: ['equals', 'exists'],
+        default: 'equals'
+    },
+    value: {
+        type: String, // keyword, /regex/, expected value or size in bytes
+        default: null
+    }
+}, { _id: false });
+
+// A single request in a transaction monitor
+const transactionStepSchema = new Schema({
+    name: {
+        type: String,
+        trim: true
+    },
+    url: {
+        type: String, // absolute, or relative to the monitor URL; may contain {{variable}} placeholders
+        required: true
+    },
+    request: {
+        type: requestSchema,
+        default: () => ({})
+    },
+    expectedStatusCode: {
+        type: String, // status codes and ranges, e.g. "200-299,301"
+        default: '200',
+        validate: {
+            validator: isValidStatusSpec,
+            message: props => `${props.value} is not a valid expected status`
+        }
+    },
+    assertions: [assertionSchema],
+    extract: [{
+        _id: false,
+        variable: {
+            type: String,
+            required: true
+        },
+        from: {
+            type: String,
+            enum: ['header', 'json', 'regex'],
+            required: true
+        },
+        path: {
+            type: String, // header name, JSONPath expression or /regex/ with a capture group
+            required: true
+        }
+    }]
+}, { _id: false });
+
+// Lease state of the checks of a monitor from one region
+const regionCoverageSchema = new Schema({
+    dueAt: {
+        type: Date, // when a prober should check the monitor from this region next
+        default: Date.now
+    },
+    leaseExpiresAt: {
+        type: Date, // the region is leased to a prober until then
+        default: null
+    },
+    prober: {
+        type: String, // prober holding (or last holding) the lease, as owner:probe
+        default: null
+    },
+    assignment: {
+        type: Schema.Types.ObjectId, // current or last lease of the region
+        ref: 'Assignment',
+        default: null
+    }
+}, { _id: false });
 
 const monitorSchema = new Schema({
     website: {
@@ -18,30 +148,337 @@ const monitorSchema = new Schema({
         trim: true
     },
     type: {
-        type: String,
-        enum: ['http', 'https', 'tcp', 'ping', 'dns', 'ssl'],
-        default: 'https'
+        type: String, // any type registered in services/checkTypes
+        default: 'https',
+        validate: {
+            validator: hasCheckType,
+            message: props => `${props.value} is not a supported monitor type`
+        }
+    },
+    port: {
+        type: Number, // overrides the port in the URL for tcp/ssl checks
+        min: 1,
+        max: 65535,
+        default: null
+    },
+    tcp: {
+        send: {
+            type: String, // payload written after the connection is established
+            default: null
+        },
+        expect: {
+            type: String, // substring the response must contain
+            default: null
+        }
+    },
+    websocket: {
+        send: {
+            type: String, // message sent once the connection is open
+            default: null
+        },
+        expect: {
+            type: String, // substring or /regex/ a reply must match
+            default: null
+        },
+        protocols: [{
+            type: String // subprotocols offered during the handshake
+        }]
     },
     interval: {
         type: Number, // in seconds
         default: 300, // 5 minutes
         min: 60 // minimum 1 minute
     },
+    incidentInterval: {
+        type: Number, // in seconds, used while the monitor is down or degraded; null keeps the interval
+        default: null,
+        min: 30
+    },
+    activeHours: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        days: {
+            type: [Number], // days of the week the active hours start on, 0 = Sunday
+            default: () => [1, 2, 3, 4, 5],
+            validate: {
+                validator: days => days.length > 0 && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+                message: 'Active days must be between 0 (Sunday) and 6 (Saturday)'
+            }
+        },
+        start: {
+            type: String, // HH:mm local time
+            default: '09:00',
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start must be a HH:mm time']
+        },
+        end: {
+            type: String, // HH:mm local time, before start for hours running past midnight
+            default: '17:00',
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End must be a HH:mm time']
+        },
+        timezone: {
+            type: String, // IANA timezone, defaults to the owner's timezone
+            default: null,
+            validate: {
+                validator: timezone => timezone === null || isValidTimezone(timezone),
+                message: props => `${props.value} is not a valid timezone`
+            }
+        },
+        outsideInterval: {
+            type: Number, // in seconds, used outside the active hours; null pauses checks
+            default: null,
+            min: 60
+        }
+    },
     timeout: {
         type: Number, // in milliseconds
         default: 30000 // 30 seconds
     },
     alertThreshold: {
         type: Number, // number of consecutive failures before alert
-        default: 1
+        default: 1,
+        min: 1
+    },
+    confirmation: {
+        retries: {
+            type: Number, // checks rerun right away while a result disagrees with the status
+            default: 0,
+            min: 0,
+            max: 5
+        },
+        backoff: {
+            type: Number, // in milliseconds before the first retry, doubled after each one
+            default: 2000,
+            min: 0,
+            max: 30000
+        },
+        recoveryThreshold: {
+            type: Number, // number of consecutive successes before a down monitor is up again
+            default: 1,
+            min: 1
+        }
     },
     locations: [{
         type: String,
-        enum: ['us-east', 'us-west', 'eu-central', 'ap-south', 'ap-east']
+        enum: REGIONS
+    }],
+    quorum: {
+        type: Number, // failing locations in a round before the check counts as failed
+        default: 1,
+        min: 1
+    },
+    dependsOn: [{
+        type: Schema.Types.ObjectId, // parent monitors; while one is down, failures here are dependent failures
+        ref: 'Monitor'
     }],
+    ssl: {
+        expiryWarningDays: {
+            type: Number, // open an ssl incident when the certificate expires within this many days
+            default: 14,
+            min: 0
+        }
+    },
+    dns: {
+        recordType: {
+            type: String,
+            enum: ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA'],
+            default: 'A'
+        },
+        expected: [{
+            type: String // exact value, or a /regex/ pattern
+        }],
+        exact: {
+            type: Boolean, // fail when records other than the expected ones are returned
+            default: false
+        },
+        nameserver: {
+            type: String, // query this server directly instead of the system resolver
+            default: null
+        }
+    },
+    request: {
+        type: requestSchema,
+        default: () => ({})
+    },
+    assertions: [assertionSchema],
+    steps: [transactionStepSchema],
+    heartbeat: {
+        token: {
+            type: String, // secret part of the ping URL
+            unique: true,
+            sparse: true
+        },
+        grace: {
+            type: Number, // in seconds, allowed lateness on top of the interval
+            default: 60,
+            min: 0
+        },
+        lastPingAt: {
+            type: Date,
+            default: null
+        },
+        lastStartAt: {
+            type: Date,
+            default: null
+        }
+    },
+    content: {
+        trackChanges: {
+            type: Boolean, // open an incident whenever the normalized content changes
+            default: false
+        },
+        selector: {
+            type: String, // optional CSS selector scoping the compared content
+            default: null
+        },
+        ignorePatterns: [{
+            type: String // regexes removed before comparing (e.g. timestamps, nonces)
+        }],
+        hash: {
+            type: String, // hash of the last snapshot
+            default: null
+        },
+        snapshot: {
+            type: String,
+            default: null
+        },
+        changedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    performance: {
+        warningThreshold: {
+            type: Number, // in milliseconds, null disables the level
+            default: null,
+            min: 1
+        },
+        criticalThreshold: {
+            type: Number, // in milliseconds, null disables the level
+            default: null,
+            min: 1
+        },
+        window: {
+            type: Number, // number of recent successful checks evaluated
+            default: 5,
+            min: 1,
+            max: 100
+        },
+        aggregation: {
+            type: String,
+            enum: ['average', 'percentile'],
+            default: 'average'
+        },
+        percentile: {
+            type: Number, // used when aggregation is 'percentile'
+            default: 95,
+            min: 1,
+            max: 100
+        }
+    },
     expectedStatusCode: {
+        type: String, // status codes and ranges, e.g. "200-299,301"
+        default: '200',
+        validate: {
+            validator: isValidStatusSpec,
+            message: props => `${props.value} is not a valid expected status`
+        }
+    },
+    redirects: {
+        policy: {
+            type: String, // 'follow' (up to 10 hops), 'none', or 'limit' (up to maxHops)
+            enum: ['follow', 'none', 'limit'],
+            default: 'follow'
+        },
+        maxHops: {
+            type: Number,
+            default: 5,
+            min: 0,
+            max: 10
+        },
+        allowedDomains: [{
+            type: String, // redirects to other hosts fail the check; subdomains are included
+            lowercase: true,
+            trim: true
+        }]
+    },
+    status: {
+        type: String,
+        enum: ['up', 'down', 'flapping', 'unknown'],
+        default: 'unknown'
+    },
+    lastChecked: {
+        type: Date,
+        default: null
+    },
+    flapping: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        window: {
+            type: Number, // in minutes, sliding window the status changes are counted in
+            default: 60,
+            min: 5,
+            max: 1440
+        },
+        threshold: {
+            type: Number, // status changes within the window that make the monitor flapping
+            default: 6,
+            min: 2,
+            max: 50
+        },
+        stablePeriod: {
+            type: Number, // in minutes without status changes before the monitor stops flapping
+            default: 30,
+            min: 1,
+            max: 1440
+        },
+        changes: [{
+            type: Date // most recent status changes
+        }],
+        since: {
+            type: Date,
+            default: null
+        },
+        lastState: {
+            type: String, // up/down status while flapping
+            enum: ['up', 'down'],
+            default: null
+        }
+    },
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    },
+    consecutiveSuccesses: {
         type: Number,
-        default: 200
+        default: 0
+    },
+    schedule: {
+        nextRunAt: {
+            type: Date, // when the scheduler should run the next check
+            default: null
+        },
+        leaseOwner: {
+            type: String, // scheduler instance currently running the check
+            default: null
+        },
+        leaseExpiresAt: {
+            type: Date, // the check can be claimed again after this time
+            default: null
+        },
+        lastRunAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Checks leased to probers, by region (null for regions the monitor isn't checked from)
+    coverage: Object.fromEntries(REGIONS.map(region => [region, { type: regionCoverageSchema, default: null }])),
+    serverOnly: {
+        type: Boolean, // has credentials, so it's never leased to probes
+        default: false
     },
     active: {
         type: Boolean,
@@ -65,6 +502,77 @@ const monitorSchema = new Schema({
     }
 });
 
+// Give every heartbeat monitor its own secret ping token
+monitorSchema.pre('validate', function (next) {
+    if (this.type === 'heartbeat' && !this.heartbeat.token) {
+        this.heartbeat.token = crypto.randomBytes(24).toString('hex');
+    }
+    next();
+});
+
+// Schedule new monitors within their first interval so they don't all start at once
+monitorSchema.pre('save', function (next) {
+    if (!this.schedule.nextRunAt) {
+        const spread = Math.min(this.interval, 60) * 1000;
+        this.schedule.nextRunAt = new Date(Date.now() + Math.floor(Math.random() * spread));
+    }
+    next();
+});
+
+/**
+ * Keep a coverage entry for each region the monitor is checked from
+ * Entries of regions it keeps are left as they are; new regions are due right away.
+ */
+monitorSchema.methods.syncCoverage = function () {
+    const regions = this.locations.length > 0 ? this.locations : [DEFAULT_REGION];
+    for (const region of REGIONS) {
+        const entry = this.coverage && this.coverage[region];
+        if (regions.includes(region) && !entry) {
+            this.set(`coverage.${region}`, {});
+        } else if (!regions.includes(region) && entry) {
+            this.set(`coverage.${region}`, null);
+        }
+    }
+};
+
+/**
+ * Check whether the monitor's settings include credentials
+ * Request auth, sensitive headers and request bodies (also in transaction steps) and
+ * credentials in the URL never leave the server.
+ * @returns {boolean} True if the monitor has credentials
+ */
+monitorSchema.methods.hasCredentials = function () {
+    if (hasRequestSecrets(this.request) || this.steps.some(step => hasRequestSecrets(step.request))) {
+        return true;
+    }
+    
+    try {
+        const url = new URL(this.url);
+        return Boolean(url.username || url.password);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Keep the coverage in line with the locations, and monitors with credentials away from probes
+monitorSchema.pre('save', function (next) {
+    if (this.isNew || this.isModified('locations')) {
+        this.syncCoverage();
+    }
+    if (this.isNew || this.isModified('url') || this.isModified('request') || this.isModified('steps')) {
+        this.serverOnly = this.hasCredentials();
+    }
+    next();
+});
+
+// Due-job lookup used by the scheduler
+monitorSchema.index({ active: 1, 'schedule.nextRunAt': 1 });
+
+// Due monitor lookup by region used when leasing checks to probers
+for (const region of REGIONS) {
+    monitorSchema.index({ active: 1, [`coverage.${region}.dueAt`]: 1 });
+}
+
 const Monitor = mongoose.model('Monitor', monitorSchema);
 
 module.exports = { Monitor }; 
\ No newline at end of file
@@ -29,6 +29,140 @@ const monitorCheckSchema = new Schema({
         type: Number, // in milliseconds
         default: null
     },
+    timings: {
+        dns: {
+            type: Number, // DNS lookup time in milliseconds
+            default: null
+        },
+        connect: {
+            type: Number, // TCP connect time in milliseconds
+            default: null
+        },
+        tls: {
+            type: Number, // TLS handshake time in milliseconds
+            default: null
+        },
+        ttfb: {
+            type: Number, // time to first byte after the connection is ready, in milliseconds
+            default: null
+        },
+        download: {
+            type: Number, // content transfer time in milliseconds
+            default: null
+        }
+    },
+    response: {
+        type: String, // first bytes received from a tcp service
+        default: null
+    },
+    ssl: {
+        issuer: String,
+        subject: String,
+        subjectAltNames: [String],
+        validFrom: Date,
+        validTo: Date,
+        daysRemaining: Number,
+        protocol: String,
+        cipher: String,
+        authorized: Boolean,
+        authorizationError: String,
+        hostnameMatch: Boolean,
+        chain: [{
+            _id: false,
+            subject: String,
+            issuer: String,
+            validFrom: Date,
+            validTo: Date,
+            fingerprint256: String
+        }]
+    },
+    dns: {
+        recordType: String,
+        nameserver: String,
+        records: [String],
+        expected: [String],
+        missing: [String],
+        unexpected: [String]
+    },
+    assertions: [{
+        _id: false,
+        type: { type: String },
+        path: String,
+        operator: String,
+        expected: String,
+        actual: String,
+        passed: Boolean,
+        message: String
+    }],
+    steps: [{
+        _id: false,
+        name: String,
+        method: String,
+        url: String,
+        statusCode: Number,
+        success: Boolean,
+        responseTime: Number,
+        timings: {
+            dns: Number,
+            connect: Number,
+            tls: Number,
+            ttfb: Number,
+            download: Number
+        },
+        assertions: [{
+            _id: false,
+            type: { type: String },
+            path: String,
+            operator: String,
+            expected: String,
+            actual: String,
+            passed: Boolean,
+            message: String
+        }],
+        extracted: [String], // names of the variables extracted by this step
+        errorMessage: String
+    }],
+    failedStep: {
+        type: Number, // index of the transaction step that failed
+        default: null
+    },
+    heartbeat: {
+        kind: {
+            type: String,
+            enum: ['ping', 'start', 'fail', 'missed']
+        },
+        exitStatus: Number,
+        duration: Number, // job run time in milliseconds
+        message: String
+    },
+    websocket: {
+        handshake: {
+            type: Number, // time until the connection was open, in milliseconds
+            default: null
+        },
+        roundTrip: {
+            type: Number, // time from sending the message to the matching reply, in milliseconds
+            default: null
+        },
+        protocol: {
+            type: String, // negotiated subprotocol
+            default: null
+        }
+    },
+    redirects: [{
+        _id: false,
+        url: String,
+        statusCode: Number,
+        location: String
+    }],
+    finalUrl: {
+        type: String, // URL that produced the final response
+        default: null
+    },
+    contentHash: {
+        type: String, // hash of the normalized content when change tracking is enabled
+        default: null
+    },
     errorMessage: {
         type: String,
         default: null
@@ -37,19 +171,96 @@ const monitorCheckSchema = new Schema({
         type: String,
         required: true
     },
+    region: {
+        type: String, // region the check ran from
+        default: 'unknown'
+    },
+    city: {
+        type: String, // reported by the probe that ran the check
+        default: null
+    },
+    country: {
+        type: String,
+        default: null
+    },
     performedBy: {
         type: Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    probe: {
+        type: Schema.Types.ObjectId, // remote probe that ran the check, null for server-side checks
+        ref: 'Probe',
+        default: null
+    },
+    signingKey: {
+        type: String, // ID of the probe key that signed the result
+        default: null
+    },
+    signature: {
+        type: String, // Ed25519 signature of the result (base64)
+        default: null
+    },
+    attempt: {
+        type: Number, // 0 for the scheduled check, 1+ for confirmation retries
+        default: 0
+    },
+    confirms: {
+        type: Schema.Types.ObjectId, // check a confirmation retry was run for
+        ref: 'MonitorCheck',
+        default: null
+    },
+    inMaintenance: {
+        type: Boolean, // checks during maintenance don't open incidents or send alerts
+        default: false
+    },
+    maintenance: {
+        type: Schema.Types.ObjectId,
+        ref: 'Maintenance',
+        default: null
+    },
+    dependentFailure: {
+        type: Boolean, // failed while a parent monitor was down
+        default: false
+    },
+    parentIncident: {
+        type: Schema.Types.ObjectId, // outage of the parent monitor that caused the failure
+        ref: 'Incident',
+        default: null
+    },
     incidentCreated: {
         type: Boolean,
         default: false
     },
+    validation: {
+        status: {
+            type: String, // probe results are held until other checks of the monitor confirm them
+            enum: ['none', 'pending', 'agreed', 'outlier', 'unverified'],
+            default: 'none'
+        },
+        agreement: {
+            type: Number, // share of the reference weight that saw the same outcome
+            default: null
+        },
+        references: {
+            type: Number, // checks the result was compared with
+            default: 0
+        },
+        reasons: [String], // what an outlier disagreed on: outcome, statusCode, responseTime
+        validatedAt: {
+            type: Date,
+            default: null
+        }
+    },
     paymentProcessed: {
         type: Boolean,
         default: false
     },
+    paymentStatus: {
+        type: String, // held while the result is validated, refused for outliers
+        enum: ['none', 'held', 'paid', 'refused'],
+        default: 'none'
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -60,7 +271,10 @@ const monitorCheckSchema = new Schema({
 monitorCheckSchema.index({ monitor: 1, timestamp: -1 });
 monitorCheckSchema.index({ website: 1, timestamp: -1 });
 monitorCheckSchema.index({ performedBy: 1, timestamp: -1 });
+monitorCheckSchema.index({ probe: 1, timestamp: -1 });
 monitorCheckSchema.index({ paymentProcessed: 1 });
+monitorCheckSchema.index({ monitor: 1, 'validation.status': 1, timestamp: 1 });
+monitorCheckSchema.index({ 'validation.status': 1, timestamp: 1 });
 
 const MonitorCheck = mongoose.model('MonitorCheck', monitorCheckSchema);
 
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Ed25519 public key a probe signs its results with
+const probeKeySchema = new Schema({
+    keyId: {
+        type: String, // fingerprint of the public key, sent with each signed result
+        required: true
+    },
+    publicKey: {
+        type: String, // PEM (SPKI)
+        required: true
+    },
+    status: {
+        type: String, // retired keys are accepted for a grace period after a rotation
+        enum: ['active', 'retired', 'revoked'],
+        default: 'active'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    retiredAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+// Remote checker run by a user, connected over the /probes Socket.io namespace
+const probeSchema = new Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    region: {
+        type: String, // announced by the probe, checks it runs are stored under this location
+        enum: ['us-east', 'us-west', 'eu-central', 'ap-south', 'ap-east'],
+        required: true
+    },
+    capabilities: [{
+        type: String // check types the probe can run
+    }],
+    keys: [probeKeySchema],
+    version: {
+        type: String,
+        default: null
+    },
+    city: {
+        type: String,
+        default: null
+    },
+    country: {
+        type: String,
+        default: null
+    },
+    ip: {
+        type: String, // address the probe connected from
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['online', 'offline'],
+        default: 'offline'
+    },
+    connectedAt: {
+        type: Date,
+        default: null
+    },
+    lastSeenAt: {
+        type: Date,
+        default: null
+    },
+    reputation: {
+        score: {
+            type: Number, // 0-100, from how often the probe's results agree with other checks
+            default: 50
+        },
+        agreed: {
+            type: Number,
+            default: 0
+        },
+        outliers: {
+            type: Number,
+            default: 0
+        },
+        unverified: {
+            type: Number, // results no other check could confirm
+            default: 0
+        },
+        lastOutlierAt: {
+            type: Date,
+            default: null
+        }
+    },
+    active: {
+        type: Boolean, // inactive probes are refused on register
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+probeSchema.index({ owner: 1 });
+
+const Probe = mongoose.model('Probe', probeSchema);
+
+module.exports = { Probe };
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { isValidTimezone } = require('../utils/maintenanceWindow');
 
 const userSchema = new Schema({
     name: {
@@ -22,6 +23,14 @@ const userSchema = new Schema({
         type: String,
         default: ''
     },
+    timezone: {
+        type: String, // IANA timezone, used for the active hours of monitors
+        default: 'UTC',
+        validate: {
+            validator: isValidTimezone,
+            message: props => `${props.value} is not a valid timezone`
+        }
+    },
     isEmailVerified: {
         type: Boolean,
         default: false
@@ -45,6 +45,9 @@ const websiteSchema = new Schema({
     }
 });
 
+// Websites of a user, also excluded from the checks leased to them
+websiteSchema.index({ owner: 1 });
+
 const Website = mongoose.model('Website', websiteSchema);
 
 module.exports = { Website };
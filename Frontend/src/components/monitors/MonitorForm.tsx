@@ -1,7 +1,67 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { monitorApi } from '../../services/api';
 
-type MonitorType = 'http' | 'https' | 'tcp' | 'ping';
+// Monitor types are registered on the server (GET /monitor/types)
+type MonitorType = string;
+
+interface MonitorTypeField {
+  name: string;
+  label: string;
+  type: 'string' | 'number' | 'boolean' | 'enum' | 'array' | 'object' | 'map';
+  required: boolean;
+  options?: string[];
+  min?: number;
+  max?: number;
+  default?: unknown;
+  fields?: MonitorTypeField[];
+}
+
+interface MonitorTypeInfo {
+  type: MonitorType;
+  label: string;
+  description?: string;
+  fields: MonitorTypeField[];
+}
+
+// Used until the server list is loaded, or if it can't be fetched
+const DEFAULT_MONITOR_TYPES: MonitorTypeInfo[] = [
+  { type: 'http', label: 'HTTP', fields: [] },
+  { type: 'https', label: 'HTTPS', fields: [] },
+  { type: 'tcp', label: 'TCP', fields: [] },
+  { type: 'ping', label: 'Ping', fields: [] },
+];
+
+// Fields rendered in the basic section rather than per type
+const COMMON_FIELDS = ['url'];
+
+// Flatten nested object fields into simple inputs; lists and maps are edited elsewhere
+const getInputFields = (fields: MonitorTypeField[]): MonitorTypeField[] =>
+  fields.flatMap(field => {
+    if (COMMON_FIELDS.includes(field.name)) return [];
+    if (field.type === 'object') return getInputFields(field.fields || []);
+    if (field.type === 'array' || field.type === 'map') return [];
+    return [field];
+  });
+
+// Turn { 'tcp.send': 'x' } into { tcp: { send: 'x' } }
+const toNestedSettings = (settings: Record<string, unknown>) => {
+  const result: Record<string, any> = {};
+
+  Object.entries(settings).forEach(([path, value]) => {
+    if (value === '' || value === undefined) return;
+
+    const keys = path.split('.');
+    let target = result;
+    keys.slice(0, -1).forEach(key => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+
+  return result;
+};
 
 interface MonitorFormProps {
   initialData?: {
@@ -23,6 +83,8 @@ const MonitorForm = ({ initialData, onSubmit, isEditing = false }: MonitorFormPr
   const navigate = useNavigate();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formError, setFormError] = useState<string | null>(null);
+  const [monitorTypes, setMonitorTypes] = useState<MonitorTypeInfo[]>(DEFAULT_MONITOR_TYPES);
+  const [typeSettings, setTypeSettings] = useState<Record<string, unknown>>({});
   
   const [formData, setFormData] = useState({
     name: '',
@@ -35,6 +97,16 @@ const MonitorForm = ({ initialData, onSubmit, isEditing = false }: MonitorFormPr
     description: '',
   });
 
+  useEffect(() => {
+    monitorApi.getTypes()
+      .then(response => {
+        if (response.data && Array.isArray(response.data.types)) {
+          setMonitorTypes(response.data.types);
+        }
+      })
+      .catch(error => console.error('Error loading monitor types:', error));
+  }, []);
+
   useEffect(() => {
     if (initialData) {
       setFormData({
@@ -55,13 +127,25 @@ const MonitorForm = ({ initialData, onSubmit, isEditing = false }: MonitorFormPr
     }));
   };
 
+  const handleTypeChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    handleChange(e);
+    setTypeSettings({});
+  };
+
+  const handleSettingChange = (field: MonitorTypeField, value: string | boolean) => {
+    setTypeSettings(prev => ({
+      ...prev,
+      [field.name]: field.type === 'number' && value !== '' ? Number(value) : value
+    }));
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setIsSubmitting(true);
     setFormError(null);
     
     try {
-      await onSubmit(formData);
+      await onSubmit({ ...formData, ...toNestedSettings(typeSettings) });
       navigate('/monitors');
     } catch (error) {
       console.error('Error submitting monitor:', error);
@@ -71,6 +155,8 @@ const MonitorForm = ({ initialData, onSubmit, isEditing = false }: MonitorFormPr
     }
   };
 
+  const selectedType = monitorTypes.find(monitorType => monitorType.type === formData.type);
+
   return (
     <form onSubmit={handleSubmit} className="space-y-6 bg-white p-6 rounded-lg shadow-sm">
       {formError && (
@@ -124,13 +210,14 @@ const MonitorForm = ({ initialData, onSubmit, isEditing = false }: MonitorFormPr
                 id="type"
                 name="type"
                 value={formData.type}
-                onChange={handleChange}
+                onChange={handleTypeChange}
                 className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
               >
-                <option value="http">HTTP</option>
-                <option value="https">HTTPS</option>
-                <option value="tcp">TCP</option>
-                <option value="ping">Ping</option>
+                {monitorTypes.map(monitorType => (
+                  <option key={monitorType.type} value={monitorType.type}>
+                    {monitorType.label}
+                  </option>
+                ))}
               </select>
             </div>
             
@@ -150,6 +237,64 @@ const MonitorForm = ({ initialData, onSubmit, isEditing = false }: MonitorFormPr
           </div>
         </div>
         
+        {/* Type-specific Settings Section */}
+        {selectedType && getInputFields(selectedType.fields).length > 0 && (
+          <div>
+            <h3 className="text-lg font-medium text-neutral-900 mb-4">{selectedType.label} Settings</h3>
+            {selectedType.description && (
+              <p className="text-sm text-neutral-500 mb-4">{selectedType.description}</p>
+            )}
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              {getInputFields(selectedType.fields).map(field => (
+                <div key={field.name}>
+                  {field.type === 'boolean' ? (
+                    <label htmlFor={field.name} className="flex items-center text-sm font-medium text-neutral-700">
+                      <input
+                        type="checkbox"
+                        id={field.name}
+                        checked={Boolean(typeSettings[field.name] ?? field.default)}
+                        onChange={(e) => handleSettingChange(field, e.target.checked)}
+                        className="h-4 w-4 rounded border-neutral-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      <span className="ml-2">{field.label}</span>
+                    </label>
+                  ) : (
+                    <>
+                      <label htmlFor={field.name} className="block text-sm font-medium text-neutral-700">
+                        {field.label} {field.required && <span className="text-red-500">*</span>}
+                      </label>
+                      {field.type === 'enum' ? (
+                        <select
+                          id={field.name}
+                          value={String(typeSettings[field.name] ?? field.default ?? '')}
+                          onChange={(e) => handleSettingChange(field, e.target.value)}
+                          className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
+                        >
+                          <option value="">Default</option>
+                          {(field.options || []).map(option => (
+                            <option key={option} value={option}>{option}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type={field.type === 'number' ? 'number' : 'text'}
+                          id={field.name}
+                          value={String(typeSettings[field.name] ?? '')}
+                          onChange={(e) => handleSettingChange(field, e.target.value)}
+                          required={field.required}
+                          min={field.min}
+                          max={field.max}
+                          className="mt-1 block w-full rounded-md border-neutral-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
+                        />
+                      )}
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
         {/* Advanced Settings Section */}
         <div>
           <h3 className="text-lg font-medium text-neutral-900 mb-4">Advanced Settings</h3>
@@ -63,6 +63,7 @@ export const monitorApi = {
   checkNow: (id) => api.post(`/monitors/${id}/check`),
   getHistory: (id) => api.get(`/monitors/${id}/history`),
   getStats: (id) => api.get(`/monitors/${id}/stats`),
+  getTypes: () => api.get('/monitor/types'),
 };
 
 export const userApi = {
@@ -1,14 +1,19 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { User } = require('../Database/module.user');
 const { UserWallet } = require('../Database/module.userWallet');
 const emailService = require('../utils/emailService');
 const VerificationService = require('../utils/verificationService');
-const { userRegistrationSchema, userLoginSchema, userProfileUpdateSchema, passwordResetRequestSchema, passwordResetSchema, validate } = require('../utils/validationSchema');
+const { userRegistrationSchema, userLoginSchema, userProfileUpdateSchema, passwordResetRequestSchema, passwordResetSchema, maintenanceWindowSchema, maintenanceWindowUpdateSchema, validate } = require('../utils/validationSchema');
 const userRouter = express.Router();
 const SECRET = process.env.USER_JWT_SECRET;
 const { verifyClerkToken } = require('../utils/clerkAuth');
+const { redactRequestConfig, mergeRequestConfig, redactTransactionSteps, mergeTransactionSteps } = require('../utils/requestConfig');
+const { pickContentSettings } = require('../utils/contentChange');
+const { validateMonitorConfig, getResultFields } = require('../services/checkTypes');
+const { getOccurrenceAt, getUpcomingOccurrences } = require('../utils/maintenanceWindow');
 
 // Middleware to verify user token
 const authenticateUser = (req, res, next) => {
@@ -196,7 +201,7 @@ userRouter.post('/signin', validate(userLoginSchema), async (req, res) => {
 
 userRouter.put('/update', authenticateUser, validate(userProfileUpdateSchema), async (req, res) => {
     try {
-        const { name, profilePicture, currentPassword, newPassword } = req.body;
+        const { name, profilePicture, timezone, currentPassword, newPassword } = req.body;
         const userId = req.user.userId;
         
         // Find user
@@ -208,6 +213,7 @@ userRouter.put('/update', authenticateUser, validate(userProfileUpdateSchema), a
         // Update user fields if provided
         if (name) user.name = name;
         if (profilePicture) user.profilePicture = profilePicture;
+        if (timezone) user.timezone = timezone;
         
         // Handle password change if requested
         if (currentPassword && newPassword) {
@@ -231,7 +237,8 @@ userRouter.put('/update', authenticateUser, validate(userProfileUpdateSchema), a
                 id: user._id,
                 name: user.name,
                 email: user.email,
-                profilePicture: user.profilePicture
+                profilePicture: user.profilePicture,
+                timezone: user.timezone
             }
         });
     } catch (error) {
@@ -259,6 +266,7 @@ userRouter.get('/profile', authenticateUser, async (req, res) => {
                 email: user.email,
                 isEmailVerified: user.isEmailVerified,
                 profilePicture: user.profilePicture,
+                timezone: user.timezone,
                 createdAt: user.createdAt
             },
             wallet: wallet ? {
@@ -676,10 +684,45 @@ userRouter.post('/verify', async (req, res) => {
     }
 });
 
+/**
+ * Check the parent monitors of a monitor: they must belong to the user and not create a cycle
+ * @param {string} userId Owner of the monitor
+ * @param {string} monitorId Monitor ID, null for new monitors
+ * @param {Array} parentIds Parent monitor IDs
+ * @returns {string|null} Error message, or null if the parents are valid
+ */
+const checkMonitorDependencies = async (userId, monitorId, parentIds) => {
+    const { Monitor } = require('../Database/module.monitor');
+    const monitoringService = require('../services/monitoringService');
+    
+    const parents = await Monitor.find({ _id: { $in: parentIds } }).populate('website');
+    const owned = parents.filter(parent => parent.website && parent.website.owner && parent.website.owner.toString() === userId);
+    if (owned.length !== new Set(parentIds.map(String)).size) {
+        return 'Parent monitors not found';
+    }
+    
+    // New monitors have no children yet, so they can't close a cycle
+    return monitorId ? monitoringService.validateDependencies(monitorId, parentIds) : null;
+};
+
+/**
+ * Pick the user-editable flapping settings; the detection state is kept by the monitoring service
+ * @param {Object} flapping Submitted flapping settings
+ * @param {Object} current Current flapping settings and state of the monitor
+ * @returns {Object} Flapping settings to store
+ */
+const pickFlappingSettings = (flapping, current = {}) => {
+    const settings = { ...current };
+    for (const key of ['enabled', 'window', 'threshold', 'stablePeriod']) {
+        if (flapping[key] !== undefined) settings[key] = flapping[key];
+    }
+    return settings;
+};
+
 // Website monitoring endpoints
 userRouter.post('/monitors', authenticateUser, async (req, res) => {
     try {
-        const { name, url } = req.body;
+        const { name, url, type, port, tcp, websocket, ssl, dns, assertions, request, steps, heartbeat, content, performance, expectedStatusCode, redirects, incidentInterval, activeHours, alertThreshold, confirmation, flapping, locations, quorum, dependsOn } = req.body;
         const userId = req.user.userId;
 
         // Validate input
@@ -687,11 +730,31 @@ userRouter.post('/monitors', authenticateUser, async (req, res) => {
             return res.status(400).json({ error: 'Name and URL are required' });
         }
 
-        // Validate URL format
+        // Validate the settings against the schema registered for the monitor type
+        const validation = validateMonitorConfig(type || 'https', req.body);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        if (performance && performance.warningThreshold && performance.criticalThreshold &&
+            performance.criticalThreshold < performance.warningThreshold) {
+            return res.status(400).json({ error: 'Critical threshold must not be lower than the warning threshold' });
+        }
+
+        let contentSettings;
         try {
-            new URL(url);
-        } catch (e) {
-            return res.status(400).json({ error: 'Invalid URL format' });
+            contentSettings = content && pickContentSettings(content);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const dependencyError = dependsOn && await checkMonitorDependencies(userId, null, dependsOn);
+        if (dependencyError) {
+            return res.status(400).json({ error: dependencyError });
         }
 
         // Fixed incorrect import - separate imports for each model
@@ -715,9 +778,38 @@ userRouter.post('/monitors', authenticateUser, async (req, res) => {
             name,
             url,
             website: website._id,
-            owner: userId
+            owner: userId,
+            ...(type && { type }),
+            ...(port && { port }),
+            ...(tcp && { tcp }),
+            ...(websocket && { websocket }),
+            ...(ssl && { ssl }),
+            ...(dns && { dns }),
+            ...(assertions && { assertions }),
+            ...(request && { request }),
+            ...(steps && { steps }),
+            ...(contentSettings && { content: contentSettings }),
+            ...(performance && { performance }),
+            ...(expectedStatusCode !== undefined && { expectedStatusCode: String(expectedStatusCode) }),
+            ...(redirects && { redirects }),
+            ...(incidentInterval && { incidentInterval }),
+            ...(activeHours && { activeHours }),
+            ...(alertThreshold && { alertThreshold }),
+            ...(confirmation && { confirmation }),
+            ...(flapping && { flapping: pickFlappingSettings(flapping) }),
+            ...(locations && { locations }),
+            ...(quorum && { quorum }),
+            ...(dependsOn && { dependsOn }),
+            // The ping token is generated by the server
+            ...(heartbeat && heartbeat.grace !== undefined && { heartbeat: { grace: heartbeat.grace } })
         });
 
+        try {
+            await newMonitor.validate();
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
         await newMonitor.save();
 
         res.status(201).json({
@@ -726,7 +818,10 @@ userRouter.post('/monitors', authenticateUser, async (req, res) => {
                 id: newMonitor._id,
                 name: newMonitor.name,
                 url: newMonitor.url,
-                status: 'active'
+                status: 'active',
+                ...(newMonitor.type === 'heartbeat' && {
+                    heartbeatUrl: `/api/monitor/heartbeat/${newMonitor.heartbeat.token}`
+                })
             }
         });
     } catch (error) {
@@ -887,15 +982,61 @@ userRouter.get('/monitors/:id', authenticateUser, async (req, res) => {
       }
     }
     
+    // Interval the scheduler currently applies (incident, active hours)
+    const frequency = await monitoringService.getCheckFrequency(monitor);
+    
     res.json({
       monitor: {
         id: monitor._id,
         name: monitor.name,
         url: monitor.url,
         type: monitor.type,
+        port: monitor.port,
+        tcp: monitor.tcp,
+        websocket: monitor.websocket,
+        ssl: monitor.ssl,
+        dns: monitor.dns,
+        assertions: monitor.assertions,
+        request: redactRequestConfig(monitor.request),
+        steps: redactTransactionSteps(monitor.steps),
+        heartbeat: monitor.type === 'heartbeat' ? {
+          url: `/api/monitor/heartbeat/${monitor.heartbeat.token}`,
+          grace: monitor.heartbeat.grace,
+          lastPingAt: monitor.heartbeat.lastPingAt,
+          lastStartAt: monitor.heartbeat.lastStartAt
+        } : undefined,
+        content: {
+          trackChanges: monitor.content.trackChanges,
+          selector: monitor.content.selector,
+          ignorePatterns: monitor.content.ignorePatterns,
+          changedAt: monitor.content.changedAt
+        },
+        performance: monitor.performance,
+        expectedStatusCode: monitor.expectedStatusCode,
+        redirects: monitor.redirects,
         interval: monitor.interval,
+        incidentInterval: monitor.incidentInterval,
+        activeHours: monitor.activeHours,
         timeout: monitor.timeout,
+        checkFrequency: {
+          ...frequency,
+          nextRunAt: monitor.schedule.nextRunAt,
+          lastRunAt: monitor.schedule.lastRunAt
+        },
         alertThreshold: monitor.alertThreshold,
+        confirmation: monitor.confirmation,
+        flapping: {
+          enabled: monitor.flapping.enabled,
+          window: monitor.flapping.window,
+          threshold: monitor.flapping.threshold,
+          stablePeriod: monitor.flapping.stablePeriod,
+          since: monitor.flapping.since
+        },
+        locations: monitor.locations,
+        quorum: monitor.quorum,
+        dependsOn: monitor.dependsOn,
+        consecutiveFailures: monitor.consecutiveFailures,
+        consecutiveSuccesses: monitor.consecutiveSuccesses,
         alertEmails: monitor.alertEmails,
         keyword: monitor.keyword,
         active: monitor.active,
@@ -917,7 +1058,11 @@ userRouter.get('/monitors/:id', authenticateUser, async (req, res) => {
         statusCode: check.statusCode,
         responseTime: check.responseTime,
         timestamp: check.timestamp,
-        message: check.message
+        message: check.message,
+        attempt: check.attempt,
+        dependentFailure: check.dependentFailure,
+        // Fields filled by the monitor's check type (timings, ssl, dns, steps, ...)
+        ...getResultFields(monitor.type, check.toObject())
       }))
     });
   } catch (error) {
@@ -930,7 +1075,7 @@ userRouter.put('/monitors/:id', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.userId;
     const monitorId = req.params.id;
-    const { name, type, interval, timeout, alertThreshold, alertEmails, keyword, active } = req.body;
+    const { name, type, port, tcp, websocket, ssl, dns, assertions, request, steps, heartbeat, content, performance, expectedStatusCode, redirects, interval, incidentInterval, activeHours, timeout, alertThreshold, confirmation, flapping, locations, quorum, dependsOn, alertEmails, keyword, active } = req.body;
     
     // Find monitor
     const { Monitor } = require('../Database/module.monitor');
@@ -945,16 +1090,70 @@ userRouter.put('/monitors/:id', authenticateUser, async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized access to this monitor' });
     }
     
+    // Validate the submitted settings against the schema registered for the monitor type
+    const validation = validateMonitorConfig(type || monitor.type, req.body, { partial: true });
+    if (!validation.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+    
     // Update fields
     if (name) monitor.name = name;
     if (type) monitor.type = type;
+    if (port !== undefined) monitor.port = port;
+    if (tcp) monitor.tcp = tcp;
+    if (websocket) monitor.websocket = websocket;
+    if (ssl) monitor.ssl = ssl;
+    if (dns) monitor.dns = dns;
+    if (assertions) monitor.assertions = assertions;
+    if (request) monitor.request = mergeRequestConfig(monitor.request, request);
+    if (steps) monitor.steps = mergeTransactionSteps(monitor.steps, steps);
+    if (heartbeat && heartbeat.grace !== undefined) monitor.heartbeat.grace = heartbeat.grace;
+    if (expectedStatusCode !== undefined) monitor.expectedStatusCode = String(expectedStatusCode);
+    if (redirects) monitor.redirects = { ...monitor.redirects.toObject(), ...redirects };
+    if (performance) {
+      const settings = { ...monitor.performance.toObject(), ...performance };
+      if (settings.warningThreshold && settings.criticalThreshold && settings.criticalThreshold < settings.warningThreshold) {
+        return res.status(400).json({ error: 'Critical threshold must not be lower than the warning threshold' });
+      }
+      monitor.performance = settings;
+    }
+    if (content) {
+      try {
+        monitor.content = pickContentSettings(content, monitor.content);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
     if (interval) monitor.interval = interval;
+    if (incidentInterval !== undefined) monitor.incidentInterval = incidentInterval;
+    if (activeHours) monitor.activeHours = { ...monitor.activeHours.toObject(), ...activeHours };
     if (timeout) monitor.timeout = timeout;
     if (alertThreshold) monitor.alertThreshold = alertThreshold;
+    if (confirmation) monitor.confirmation = { ...monitor.confirmation.toObject(), ...confirmation };
+    if (flapping) monitor.flapping = pickFlappingSettings(flapping, monitor.flapping.toObject());
+    if (locations) monitor.locations = locations;
+    if (quorum) monitor.quorum = quorum;
+    if (dependsOn) {
+      const dependencyError = await checkMonitorDependencies(userId, monitor._id, dependsOn);
+      if (dependencyError) {
+        return res.status(400).json({ error: dependencyError });
+      }
+      monitor.dependsOn = dependsOn;
+    }
     if (alertEmails) monitor.alertEmails = alertEmails;
     if (keyword !== undefined) monitor.keyword = keyword;
     if (active !== undefined) monitor.active = active;
     
+    if (monitor.isModified('interval') || monitor.isModified('incidentInterval') || monitor.isModified('activeHours')) {
+      // Apply the new schedule rules right away rather than after the current interval elapses
+      await monitor.validate();
+      monitor.schedule.nextRunAt = await monitoringService.computeNextCheckAt(monitor);
+    }
+    
     await monitor.save();
     
     res.json({
@@ -964,15 +1163,52 @@ userRouter.put('/monitors/:id', authenticateUser, async (req, res) => {
         id: monitor._id,
         name: monitor.name,
         type: monitor.type,
+        port: monitor.port,
+        tcp: monitor.tcp,
+        websocket: monitor.websocket,
+        ssl: monitor.ssl,
+        dns: monitor.dns,
+        assertions: monitor.assertions,
+        request: redactRequestConfig(monitor.request),
+        steps: redactTransactionSteps(monitor.steps),
+        heartbeat: monitor.type === 'heartbeat' ? {
+          url: `/api/monitor/heartbeat/${monitor.heartbeat.token}`,
+          grace: monitor.heartbeat.grace
+        } : undefined,
+        content: {
+          trackChanges: monitor.content.trackChanges,
+          selector: monitor.content.selector,
+          ignorePatterns: monitor.content.ignorePatterns,
+          changedAt: monitor.content.changedAt
+        },
+        performance: monitor.performance,
+        expectedStatusCode: monitor.expectedStatusCode,
+        redirects: monitor.redirects,
         interval: monitor.interval,
+        incidentInterval: monitor.incidentInterval,
+        activeHours: monitor.activeHours,
         timeout: monitor.timeout,
         alertThreshold: monitor.alertThreshold,
+        confirmation: monitor.confirmation,
+        flapping: {
+          enabled: monitor.flapping.enabled,
+          window: monitor.flapping.window,
+          threshold: monitor.flapping.threshold,
+          stablePeriod: monitor.flapping.stablePeriod,
+          since: monitor.flapping.since
+        },
+        locations: monitor.locations,
+        quorum: monitor.quorum,
+        dependsOn: monitor.dependsOn,
         alertEmails: monitor.alertEmails,
         keyword: monitor.keyword,
         active: monitor.active
       }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error updating monitor:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -999,6 +1235,9 @@ userRouter.delete('/monitors/:id', authenticateUser, async (req, res) => {
     // Delete monitor
     await Monitor.findByIdAndDelete(monitorId);
     
+    // Children no longer depend on it
+    await Monitor.updateMany({ dependsOn: monitorId }, { $pull: { dependsOn: monitorId } });
+    
     // Delete related checks
     const { MonitorCheck } = require('../Database/module.monitorCheck');
     await MonitorCheck.deleteMany({ monitor: monitorId });
@@ -1053,6 +1292,364 @@ userRouter.post('/monitors/:id/check', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * Find a monitor owned by the user
+ * Sends the 404/403 response and returns null when it can't be used
+ */
+const findOwnedMonitor = async (req, res) => {
+  const { Monitor } = require('../Database/module.monitor');
+  const monitor = mongoose.isValidObjectId(req.params.id)
+    ? await Monitor.findById(req.params.id).populate('website')
+    : null;
+  
+  if (!monitor) {
+    res.status(404).json({ error: 'Monitor not found' });
+    return null;
+  }
+  
+  if (!monitor.website || !monitor.website.owner || monitor.website.owner.toString() !== req.user.userId) {
+    res.status(403).json({ error: 'Unauthorized access to this monitor' });
+    return null;
+  }
+  
+  return monitor;
+};
+
+// Latest status and 24h uptime of a monitor from each of its locations
+userRouter.get('/monitors/:id/locations', authenticateUser, async (req, res) => {
+  try {
+    const monitoringService = require('../services/monitoringService');
+    const monitor = await findOwnedMonitor(req, res);
+    if (!monitor) return;
+    
+    const locations = await monitoringService.getLocationStatus(monitor);
+    
+    res.json({
+      status: monitor.status,
+      quorum: monitor.quorum,
+      locations
+    });
+  } catch (error) {
+    console.error('Error fetching location status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List a monitor's incidents, newest first
+userRouter.get('/monitors/:id/incidents', authenticateUser, async (req, res) => {
+  try {
+    const { Incident } = require('../Database/module.incident');
+    const monitor = await findOwnedMonitor(req, res);
+    if (!monitor) return;
+    
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = { monitor: monitor._id };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.status) filter.status = req.query.status;
+    
+    const incidents = await Incident.find(filter)
+      .sort({ startTime: -1 })
+      .limit(limit);
+    
+    res.json({
+      incidents: incidents.map(incident => ({
+        id: incident._id,
+        type: incident.type,
+        severity: incident.severity,
+        status: incident.status,
+        reason: incident.reason,
+        location: incident.location,
+        locations: incident.locations,
+        dependents: incident.dependents,
+        startTime: incident.startTime,
+        resolvedAt: incident.resolvedAt,
+        hasDiff: Boolean(incident.contentChange && incident.contentChange.diff)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching incidents:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single incident, including the content diff of change incidents
+userRouter.get('/monitors/:id/incidents/:incidentId', authenticateUser, async (req, res) => {
+  try {
+    const { Incident } = require('../Database/module.incident');
+    const monitor = await findOwnedMonitor(req, res);
+    if (!monitor) return;
+    
+    const incident = mongoose.isValidObjectId(req.params.incidentId)
+      ? await Incident.findOne({ _id: req.params.incidentId, monitor: monitor._id })
+        .populate('checks', 'success statusCode responseTime errorMessage location attempt timestamp')
+      : null;
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    
+    res.json({
+      incident: {
+        id: incident._id,
+        type: incident.type,
+        severity: incident.severity,
+        status: incident.status,
+        reason: incident.reason,
+        location: incident.location,
+        locations: incident.locations,
+        dependents: incident.dependents,
+        statusCode: incident.statusCode,
+        responseTime: incident.responseTime,
+        startTime: incident.startTime,
+        resolvedAt: incident.resolvedAt,
+        startCheck: incident.startCheck,
+        endCheck: incident.endCheck,
+        checks: incident.checks,
+        contentChange: incident.contentChange && incident.contentChange.diff ? incident.contentChange : undefined,
+        notes: incident.notes
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching incident:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Acknowledge or resolve an incident (e.g. after reviewing a content change)
+userRouter.put('/monitors/:id/incidents/:incidentId', authenticateUser, async (req, res) => {
+  try {
+    const { Incident } = require('../Database/module.incident');
+    const { status, note } = req.body;
+    
+    if (status && !['acknowledged', 'resolved'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be acknowledged or resolved' });
+    }
+    
+    const monitor = await findOwnedMonitor(req, res);
+    if (!monitor) return;
+    
+    const incident = mongoose.isValidObjectId(req.params.incidentId)
+      ? await Incident.findOne({ _id: req.params.incidentId, monitor: monitor._id })
+      : null;
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    
+    // Outages are resolved by the next successful check
+    if (status === 'resolved' && incident.severity === 'critical') {
+      return res.status(400).json({ error: 'Outage incidents are resolved automatically when the monitor recovers' });
+    }
+    
+    if (status && !incident.resolvedAt) {
+      incident.status = status;
+      if (status === 'resolved') {
+        incident.resolvedAt = new Date();
+        incident.endTime = incident.resolvedAt;
+        incident.duration = incident.resolvedAt - incident.startTime;
+        incident.openKey = undefined;
+      }
+    }
+    if (note) {
+      incident.notes.push({ text: note, createdBy: req.user.userId, createdByType: 'User' });
+    }
+    incident.updatedAt = new Date();
+    await incident.save();
+    
+    res.json({
+      success: true,
+      incident: {
+        id: incident._id,
+        status: incident.status,
+        resolvedAt: incident.resolvedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error updating incident:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Serialize a maintenance window with its current state and next occurrences
+ * @param {Object} window Maintenance window
+ * @returns {Object} Maintenance window for the API
+ */
+const serializeMaintenance = (window) => ({
+  id: window._id,
+  name: window.name,
+  monitor: window.monitor,
+  website: window.website,
+  recurrence: window.recurrence,
+  rule: window.rule,
+  startTime: window.startTime,
+  endTime: window.endTime,
+  duration: window.duration,
+  timezone: window.timezone,
+  active: window.active,
+  inProgress: window.active && getOccurrenceAt(window) !== null,
+  upcoming: getUpcomingOccurrences(window),
+  createdAt: window.createdAt,
+  updatedAt: window.updatedAt
+});
+
+/**
+ * Find a maintenance window of the authenticated user, sending 404 if there is none
+ * @returns {Object|null} Maintenance window
+ */
+const findOwnedMaintenance = async (req, res) => {
+  const { Maintenance } = require('../Database/module.maintenance');
+  
+  const window = mongoose.isValidObjectId(req.params.maintenanceId)
+    ? await Maintenance.findOne({ _id: req.params.maintenanceId, owner: req.user.userId })
+    : null;
+  
+  if (!window) {
+    res.status(404).json({ error: 'Maintenance window not found' });
+    return null;
+  }
+  
+  return window;
+};
+
+// List maintenance windows, optionally for one monitor or website
+userRouter.get('/maintenance', authenticateUser, async (req, res) => {
+  try {
+    const { Maintenance } = require('../Database/module.maintenance');
+    const { monitorId, websiteId } = req.query;
+    
+    if ((monitorId && !mongoose.isValidObjectId(monitorId)) || (websiteId && !mongoose.isValidObjectId(websiteId))) {
+      return res.status(400).json({ error: 'Invalid monitor or website ID' });
+    }
+    
+    const filter = { owner: req.user.userId };
+    if (monitorId) filter.monitor = monitorId;
+    if (websiteId) filter.website = websiteId;
+    
+    const windows = await Maintenance.find(filter).sort({ createdAt: -1 });
+    
+    res.json({ maintenance: windows.map(serializeMaintenance) });
+  } catch (error) {
+    console.error('Error fetching maintenance windows:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a maintenance window for a monitor or a website
+userRouter.post('/maintenance', authenticateUser, validate(maintenanceWindowSchema), async (req, res) => {
+  try {
+    const { Maintenance } = require('../Database/module.maintenance');
+    const { Monitor } = require('../Database/module.monitor');
+    const { Website } = require('../Database/module.websites');
+    const { monitorId, websiteId, name, recurrence, rule, startTime, endTime, duration, timezone, active } = req.body;
+    const userId = req.user.userId;
+    
+    // The monitor or website must belong to the user
+    if (monitorId) {
+      const monitor = mongoose.isValidObjectId(monitorId) ? await Monitor.findById(monitorId).populate('website') : null;
+      if (!monitor || !monitor.website || !monitor.website.owner || monitor.website.owner.toString() !== userId) {
+        return res.status(404).json({ error: 'Monitor not found' });
+      }
+    } else {
+      const website = mongoose.isValidObjectId(websiteId) ? await Website.findOne({ _id: websiteId, owner: userId }) : null;
+      if (!website) {
+        return res.status(404).json({ error: 'Website not found' });
+      }
+    }
+    
+    const window = new Maintenance({
+      name,
+      owner: userId,
+      monitor: monitorId || null,
+      website: websiteId || null,
+      ...(recurrence && { recurrence }),
+      ...(rule && { rule }),
+      ...(startTime && { startTime }),
+      ...(endTime && { endTime }),
+      ...(duration && { duration }),
+      ...(timezone && { timezone }),
+      ...(active !== undefined && { active })
+    });
+    
+    await window.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance window created successfully',
+      maintenance: serializeMaintenance(window)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating maintenance window:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a maintenance window
+userRouter.get('/maintenance/:maintenanceId', authenticateUser, async (req, res) => {
+  try {
+    const window = await findOwnedMaintenance(req, res);
+    if (!window) return;
+    
+    res.json({ maintenance: serializeMaintenance(window) });
+  } catch (error) {
+    console.error('Error fetching maintenance window:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update the schedule of a maintenance window
+userRouter.put('/maintenance/:maintenanceId', authenticateUser, validate(maintenanceWindowUpdateSchema), async (req, res) => {
+  try {
+    const window = await findOwnedMaintenance(req, res);
+    if (!window) return;
+    
+    const { name, recurrence, rule, startTime, endTime, duration, timezone, active } = req.body;
+    
+    if (name) window.name = name;
+    if (recurrence) window.recurrence = recurrence;
+    if (rule) window.rule = rule;
+    if (startTime !== undefined) window.startTime = startTime;
+    if (endTime !== undefined) window.endTime = endTime;
+    if (duration) window.duration = duration;
+    if (timezone) window.timezone = timezone;
+    if (active !== undefined) window.active = active;
+    window.updatedAt = new Date();
+    
+    await window.save();
+    
+    res.json({
+      success: true,
+      message: 'Maintenance window updated successfully',
+      maintenance: serializeMaintenance(window)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating maintenance window:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a maintenance window
+userRouter.delete('/maintenance/:maintenanceId', authenticateUser, async (req, res) => {
+  try {
+    const window = await findOwnedMaintenance(req, res);
+    if (!window) return;
+    
+    await window.deleteOne();
+    
+    res.json({
+      success: true,
+      message: 'Maintenance window deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting maintenance window:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Add a direct dashboard data endpoint
 userRouter.get('/dashboard', authenticateUser, async (req, res) => {
     try {
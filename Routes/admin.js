@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { Admin } = require('../Database/module.admin');
 const { Website } = require('../Database/module.websites');
+const { redactRequestConfig } = require('../utils/requestConfig');
 const adminRouter = express.Router();
 const SECRET = process.env.ADMIN_JWT_SECRET;
 
@@ -429,6 +430,7 @@ adminRouter.get('/monitors', authenticateAdmin, async (req, res) => {
                 name: monitor.name,
                 url: monitor.url,
                 type: monitor.type,
+                request: redactRequestConfig(monitor.request),
                 status,
                 uptime: parseFloat(uptime),
                 avgResponseTime: parseInt(avgResponseTime),
@@ -481,6 +483,119 @@ adminRouter.post('/monitors/:id/check', authenticateAdmin, async (req, res) => {
     }
 });
 
+// Admin endpoint to review probe reputation, lowest scores first
+adminRouter.get('/probes', authenticateAdmin, async (req, res) => {
+    try {
+        const { Probe } = require('../Database/module.probe');
+        const { MonitorCheck } = require('../Database/module.monitorCheck');
+
+        const probes = await Probe.find()
+            .populate('owner', 'name email')
+            .sort({ 'reputation.score': 1, createdAt: -1 });
+
+        // Payments held or refused per probe
+        const payments = await MonitorCheck.aggregate([
+            { $match: { probe: { $in: probes.map(probe => probe._id) }, paymentStatus: { $in: ['held', 'refused'] } } },
+            { $group: { _id: { probe: '$probe', status: '$paymentStatus' }, count: { $sum: 1 } } }
+        ]);
+        const paymentCounts = new Map();
+        for (const { _id, count } of payments) {
+            const key = String(_id.probe);
+            paymentCounts.set(key, { ...(paymentCounts.get(key) || { held: 0, refused: 0 }), [_id.status]: count });
+        }
+
+        res.json({
+            probes: probes.map(probe => ({
+                id: probe._id,
+                name: probe.name,
+                owner: probe.owner ? {
+                    id: probe.owner._id,
+                    name: probe.owner.name,
+                    email: probe.owner.email
+                } : null,
+                region: probe.region,
+                status: probe.status,
+                active: probe.active,
+                ip: probe.ip,
+                reputation: probe.reputation,
+                payments: paymentCounts.get(String(probe._id)) || { held: 0, refused: 0 },
+                lastSeenAt: probe.lastSeenAt,
+                createdAt: probe.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Get probes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin endpoint to review the cross-validated results of a probe
+adminRouter.get('/probes/:id/checks', authenticateAdmin, async (req, res) => {
+    try {
+        const mongoose = require('mongoose');
+        const { Probe } = require('../Database/module.probe');
+        const { MonitorCheck } = require('../Database/module.monitorCheck');
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Probe not found' });
+        }
+
+        const probe = await Probe.findById(req.params.id);
+        if (!probe) {
+            return res.status(404).json({ error: 'Probe not found' });
+        }
+
+        // e.g. ?validation=outlier to list the flagged results
+        const filter = { probe: probe._id };
+        if (req.query.validation) {
+            filter['validation.status'] = String(req.query.validation);
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const checks = await MonitorCheck.find(filter)
+            .sort({ timestamp: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('monitor', 'name url');
+        const total = await MonitorCheck.countDocuments(filter);
+
+        res.json({
+            probe: {
+                id: probe._id,
+                name: probe.name,
+                region: probe.region,
+                reputation: probe.reputation
+            },
+            checks: checks.map(check => ({
+                id: check._id,
+                monitor: check.monitor ? {
+                    id: check.monitor._id,
+                    name: check.monitor.name,
+                    url: check.monitor.url
+                } : null,
+                success: check.success,
+                statusCode: check.statusCode,
+                responseTime: check.responseTime,
+                location: check.location,
+                validation: check.validation,
+                paymentStatus: check.paymentStatus,
+                timestamp: check.timestamp
+            })),
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get probe checks error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Admin endpoint to manually verify a contributor's email
 adminRouter.post('/contributors/:id/verify', authenticateAdmin, async (req, res) => {
     try {
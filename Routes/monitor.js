@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { authenticateUser } = require('./User');
 const { authenticateContributor } = require('./contributer');
 const { authenticateAdmin } = require('./admin');
@@ -7,8 +8,12 @@ const { Incident } = require('../Database/module.incident');
 const { MonitorCheck } = require('../Database/module.monitorCheck');
 const { Subscription } = require('../Database/module.subscription');
 const { Website } = require('../Database/module.websites');
+const { Probe } = require('../Database/module.probe');
 const monitoringService = require('../services/monitoringService');
 const razorpay = require('../utils/razorpay');
+const { redactRequestConfig } = require('../utils/requestConfig');
+const { validateMonitorConfig, listCheckTypes } = require('../services/checkTypes');
+const { parsePublicKey } = require('../utils/probeSignature');
 
 // Create Express router
 const monitorRouter = express.Router();
@@ -65,6 +70,14 @@ monitorRouter.post('/', authenticateContributor, async (req, res) => {
             });
         }
 
+        const validation = validateMonitorConfig('http', { name, url });
+        if (!validation.success) {
+            return res.status(400).json({
+                error: 'Invalid monitor settings',
+                errors: validation.errors
+            });
+        }
+
         // Find websites this contributor has access to
         const websites = await Website.find({ contributors: contributorId });
         
@@ -85,7 +98,7 @@ monitorRouter.post('/', authenticateContributor, async (req, res) => {
             name,
             url,
             type: 'http',
-            interval: checkFrequency || 15,
+            interval: (checkFrequency || 15) * 60, // checkFrequency is in minutes, interval in seconds
             description: description || '',
             active: true,
             expectedStatusCode: 200,
@@ -112,35 +125,99 @@ monitorRouter.post('/', authenticateContributor, async (req, res) => {
 
 // USER ROUTES
 
-// Perform a check on a monitor
+/**
+ * Format a leased check for API responses
+ * @param {Object} assignment Assignment document
+ * @param {Object} monitor Monitor of the assignment (with its website)
+ * @returns {Object} Assignment details
+ */
+const serializeAssignment = (assignment, monitor) => ({
+    id: assignment._id,
+    region: assignment.region,
+    leasedAt: assignment.leasedAt,
+    leaseExpiresAt: assignment.leaseExpiresAt,
+    monitor: monitor ? {
+        id: monitor._id,
+        name: monitor.name,
+        type: monitor.type,
+        url: monitor.url,
+        website: monitor.website ? {
+            id: monitor.website._id,
+            name: monitor.website.name,
+            url: monitor.website.url
+        } : null
+    } : null
+});
+
+// Lease checks to run (optionally from one region); each must be checked with
+// POST /check/:id before its lease expires
+monitorRouter.post('/assignments', authenticateUser, async (req, res) => {
+    try {
+        const { region, max } = req.body || {};
+        
+        if (region !== undefined && !Monitor.schema.path('locations').caster.enumValues.includes(region)) {
+            return res.status(400).json({ error: 'Invalid region' });
+        }
+        if (max !== undefined && (!Number.isInteger(max) || max < 1)) {
+            return res.status(400).json({ error: 'max must be a positive integer' });
+        }
+        
+        const leases = await monitoringService.leaseAssignments({
+            owner: req.user.userId,
+            probe: null,
+            region: region || null,
+            capabilities: null
+        }, max);
+        
+        res.status(201).json({
+            assignments: leases.map(({ assignment, monitor }) => serializeAssignment(assignment, monitor))
+        });
+    } catch (error) {
+        console.error('Lease assignments error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the checks leased to a user
+monitorRouter.get('/assignments', authenticateUser, async (req, res) => {
+    try {
+        const assignments = await monitoringService.getAssignments({ owner: req.user.userId, probe: null });
+        
+        res.json({
+            assignments: assignments.map(assignment => serializeAssignment(assignment, assignment.monitor))
+        });
+    } catch (error) {
+        console.error('Get assignments error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Perform the leased check of a monitor
 monitorRouter.post('/check/:id', authenticateUser, async (req, res) => {
     try {
         const monitorId = req.params.id;
         const userId = req.user.userId;
-        const { location = 'unknown', locationInfo = {} } = req.body;
+        const { assignmentId } = req.body || {};
         
-        // Validate location if needed
-        if (!location) {
-            return res.status(400).json({ error: 'Location is required' });
+        if (!assignmentId) {
+            return res.status(400).json({ error: 'Assignment ID is required' });
         }
         
-        // Perform the check with user's location information
-        const check = await monitoringService.performMonitorCheck(
-            monitorId, 
-            userId, 
-            location,
-            locationInfo
-        );
+        // Only checks of a valid lease are run and paid
+        const check = await monitoringService.performAssignedCheck(userId, monitorId, assignmentId);
+        if (!check) {
+            return res.status(409).json({ error: 'Assignment not found, expired or already completed' });
+        }
         
         res.json({
             message: 'Check performed successfully',
             check: {
-                id: check._id,
+                id: check.checkId,
                 success: check.success,
                 statusCode: check.statusCode,
                 responseTime: check.responseTime,
                 location: check.location,
-                timestamp: check.createdAt
+                timestamp: check.timestamp
             }
         });
     } catch (error) {
@@ -149,26 +226,159 @@ monitorRouter.post('/check/:id', authenticateUser, async (req, res) => {
     }
 });
 
-// Get available monitors for a user to check
-monitorRouter.get('/available', authenticateUser, async (req, res) => {
+/**
+ * Format a probe for API responses
+ * @param {Object} probe Probe document
+ * @returns {Object} Probe details
+ */
+const serializeProbe = (probe) => ({
+    id: probe._id,
+    name: probe.name,
+    region: probe.region,
+    capabilities: probe.capabilities,
+    version: probe.version,
+    city: probe.city,
+    country: probe.country,
+    status: probe.status,
+    active: probe.active,
+    reputation: {
+        score: probe.reputation.score,
+        agreed: probe.reputation.agreed,
+        outliers: probe.reputation.outliers,
+        unverified: probe.reputation.unverified,
+        lastOutlierAt: probe.reputation.lastOutlierAt
+    },
+    keys: probe.keys.map(key => ({
+        keyId: key.keyId,
+        status: key.status,
+        createdAt: key.createdAt,
+        retiredAt: key.retiredAt,
+        revokedAt: key.revokedAt
+    })),
+    connectedAt: probe.connectedAt,
+    lastSeenAt: probe.lastSeenAt,
+    createdAt: probe.createdAt
+});
+
+/**
+ * Find a probe of the authenticated user
+ * @param {Object} req Request with a probeId parameter
+ * @returns {Object|null} Probe
+ */
+const findOwnedProbe = (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.probeId)) return null;
+    return Probe.findOne({ _id: req.params.probeId, owner: req.user.userId });
+};
+
+// Get the probes registered by a user (see services/probeService.js)
+monitorRouter.get('/probes', authenticateUser, async (req, res) => {
     try {
-        const userId = req.user.userId;
-        const monitors = await monitoringService.getAvailableMonitors(userId);
+        const probes = await Probe.find({ owner: req.user.userId }).sort({ createdAt: -1 });
+        
+        res.json({ probes: probes.map(serializeProbe) });
+    } catch (error) {
+        console.error('Get probes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Rename, disable or re-enable a probe
+monitorRouter.put('/probes/:probeId', authenticateUser, async (req, res) => {
+    try {
+        const { name, active } = req.body;
+        
+        const probe = await findOwnedProbe(req);
+        if (!probe) {
+            return res.status(404).json({ error: 'Probe not found' });
+        }
+        
+        if (name) probe.name = name;
+        if (active !== undefined) probe.active = Boolean(active);
+        await probe.save();
         
         res.json({
-            monitors: monitors.map(monitor => ({
-                id: monitor._id,
-                name: monitor.name,
-                type: monitor.type,
-                website: monitor.website ? {
-                    id: monitor.website._id,
-                    name: monitor.website.name,
-                    url: monitor.website.url
-                } : null
-            }))
+            message: 'Probe updated successfully',
+            probe: serializeProbe(probe)
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update probe error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Rotate the signing key of a probe: the new key becomes active and the previous
+// ones stay valid for a short grace period (PROBE_KEY_ROTATION_GRACE_MS)
+monitorRouter.post('/probes/:probeId/keys', authenticateUser, async (req, res) => {
+    try {
+        const { publicKey } = req.body;
+        if (!publicKey) {
+            return res.status(400).json({ error: 'Public key is required' });
+        }
+        
+        let key;
+        try {
+            key = parsePublicKey(publicKey);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const probe = await findOwnedProbe(req);
+        if (!probe) {
+            return res.status(404).json({ error: 'Probe not found' });
+        }
+        
+        if (probe.keys.some(existing => existing.keyId === key.keyId)) {
+            return res.status(409).json({ error: 'Key is already registered for this probe' });
+        }
+        
+        const now = new Date();
+        for (const existing of probe.keys) {
+            if (existing.status === 'active') {
+                existing.status = 'retired';
+                existing.retiredAt = now;
+            }
+        }
+        probe.keys.push(key);
+        await probe.save();
+        
+        res.status(201).json({
+            message: 'Probe key rotated successfully',
+            probe: serializeProbe(probe)
         });
     } catch (error) {
-        console.error('Get available monitors error:', error);
+        console.error('Rotate probe key error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revoke a probe key; results signed with it are rejected right away
+monitorRouter.delete('/probes/:probeId/keys/:keyId', authenticateUser, async (req, res) => {
+    try {
+        const probe = await findOwnedProbe(req);
+        if (!probe) {
+            return res.status(404).json({ error: 'Probe not found' });
+        }
+        
+        const key = probe.keys.find(existing => existing.keyId === req.params.keyId);
+        if (!key) {
+            return res.status(404).json({ error: 'Key not found' });
+        }
+        
+        if (key.status !== 'revoked') {
+            key.status = 'revoked';
+            key.revokedAt = new Date();
+            await probe.save();
+        }
+        
+        res.json({
+            message: 'Probe key revoked successfully',
+            probe: serializeProbe(probe)
+        });
+    } catch (error) {
+        console.error('Revoke probe key error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -208,6 +418,10 @@ monitorRouter.get('/history', authenticateUser, async (req, res) => {
                 statusCode: check.statusCode,
                 responseTime: check.responseTime,
                 location: check.location,
+                probe: check.probe,
+                signingKey: check.signingKey,
+                validation: check.validation.status,
+                paymentStatus: check.paymentStatus,
                 timestamp: check.createdAt
             })),
             pagination: {
@@ -419,6 +633,7 @@ monitorRouter.get('/admin/monitors', authenticateAdmin, async (req, res) => {
                 name: monitor.name,
                 url: monitor.url,
                 type: monitor.type,
+                request: redactRequestConfig(monitor.request),
                 status,
                 uptime: parseFloat(uptime),
                 avgResponseTime: parseInt(avgResponseTime),
@@ -438,6 +653,16 @@ monitorRouter.get('/admin/monitors', authenticateAdmin, async (req, res) => {
     }
 });
 
+// List the available monitor types and their settings (used to build the monitor form)
+monitorRouter.get('/types', async (req, res) => {
+    try {
+        res.json({ types: listCheckTypes() });
+    } catch (error) {
+        console.error('List monitor types error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get monitor details - for authenticated users (all types)
 monitorRouter.get('/details/:id', async (req, res) => {
     try {
@@ -450,8 +675,10 @@ monitorRouter.get('/details/:id', async (req, res) => {
             return res.status(401).json({ error: 'Authentication required' });
         }
         
+        const excludeMaintenance = req.query.excludeMaintenance === 'true';
+        
         // Get monitor statistics
-        const stats = await monitoringService.getMonitorStats(monitorId, { days });
+        const stats = await monitoringService.getMonitorStats(monitorId, { days, excludeMaintenance });
         
         res.json(stats);
     } catch (error) {
@@ -460,6 +687,44 @@ monitorRouter.get('/details/:id', async (req, res) => {
     }
 });
 
+/**
+ * Build a handler for heartbeat pings
+ * The token in the URL is the only credential, so these routes are public.
+ * Optional payload (body or query): duration (ms), exitStatus, message
+ * @param {string} kind Ping kind ('ping', 'start' or 'fail')
+ */
+const handleHeartbeat = (kind) => async (req, res) => {
+    try {
+        const payload = { ...req.query, ...(req.body || {}) };
+        const monitorCheck = await monitoringService.recordHeartbeat(req.params.token, kind, {
+            duration: payload.duration,
+            exitStatus: payload.exitStatus,
+            message: payload.message
+        });
+
+        res.json({
+            success: true,
+            kind,
+            checkId: monitorCheck._id,
+            timestamp: monitorCheck.timestamp
+        });
+    } catch (error) {
+        if (error.message === 'Monitor not found') {
+            return res.status(404).json({ error: 'Monitor not found' });
+        }
+        if (error.message === 'Monitor is paused') {
+            return res.status(409).json({ error: 'Monitor is paused' });
+        }
+        console.error('Heartbeat ping error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Heartbeat pings sent by cron jobs and background workers
+monitorRouter.post('/heartbeat/:token', handleHeartbeat('ping'));
+monitorRouter.post('/heartbeat/:token/start', handleHeartbeat('start'));
+monitorRouter.post('/heartbeat/:token/fail', handleHeartbeat('fail'));
+
 // Export the router
 module.exports = { monitorRouter };
 
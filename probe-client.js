@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * Reference probe client
+ *
+ * Connects to the /probes namespace of an UpLink server, registers with its region
+ * and the check types it can run, pulls check jobs, runs them from this machine
+ * with the built-in check types and submits the results, signed with the probe's
+ * Ed25519 key. The key pair is generated on the first run and kept in the state file.
+ *
+ * Usage:
+ *   node probe-client.js             - Run the probe
+ *   node probe-client.js rotate-key  - Generate a new key pair and register it for the probe
+ *
+ * Configuration (environment):
+ *   PROBE_SERVER_URL      - Server URL (default http://localhost:3001)
+ *   PROBE_TOKEN           - Token of the user running the probe (from /api/user/signin)
+ *   PROBE_REGION          - us-east, us-west, eu-central, ap-south or ap-east
+ *   PROBE_NAME            - Name shown for the probe
+ *   PROBE_CITY, PROBE_COUNTRY - Optional location details
+ *   PROBE_STATE_FILE      - Where the probe ID and keys are kept (default .uplink-probe.json)
+ *   PROBE_PULL_INTERVAL_MS - Delay between pulls when there is no work (default 30000)
+ *   PROBE_CONCURRENCY     - Jobs run at once (default 5)
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { io } = require('socket.io-client');
+const chalk = require('chalk');
+const { listCheckTypes, performCheck } = require('./services/checkTypes');
+const { parsePublicKey, signResult } = require('./utils/probeSignature');
+
+const config = {
+  serverUrl: process.env.PROBE_SERVER_URL || 'http://localhost:3001',
+  token: process.env.PROBE_TOKEN,
+  region: process.env.PROBE_REGION,
+  name: process.env.PROBE_NAME,
+  city: process.env.PROBE_CITY,
+  country: process.env.PROBE_COUNTRY,
+  stateFile: path.resolve(process.env.PROBE_STATE_FILE || '.uplink-probe.json'),
+  pullInterval: parseInt(process.env.PROBE_PULL_INTERVAL_MS) || 30 * 1000,
+  concurrency: parseInt(process.env.PROBE_CONCURRENCY) || 5
+};
+
+const { version } = require('./package.json');
+
+let running = 0;
+let pullTimer = null;
+
+// Read the probe ID and keys saved by a previous run
+function loadState() {
+  try {
+    return JSON.parse(fs.readFileSync(config.stateFile, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// The state file holds the private key, so only the owner can read it
+function saveState(state) {
+  fs.writeFileSync(config.stateFile, JSON.stringify(state, null, 2), { mode: 0o600 });
+}
+
+function generateKeys() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const pem = publicKey.export({ type: 'spki', format: 'pem' });
+  return {
+    keyId: parsePublicKey(pem).keyId,
+    publicKey: pem,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+// Ask for as many jobs as there are free slots
+function pull(socket) {
+  clearTimeout(pullTimer);
+  pullTimer = null;
+
+  const free = config.concurrency - running;
+  if (free > 0 && socket.connected) {
+    socket.emit('probe:pull', { max: free });
+  }
+}
+
+// Pull again later when the server had no work
+function schedulePull(socket) {
+  if (!pullTimer) {
+    pullTimer = setTimeout(() => pull(socket), config.pullInterval);
+  }
+}
+
+// Run a job with the executor of its check type and submit the signed result
+async function runJob(socket, state, job) {
+  running++;
+
+  try {
+    const result = await performCheck(job.monitor, job.region);
+    const status = result.success ? chalk.green('UP') : chalk.red('DOWN');
+    console.log(`${status} ${job.monitor.name} (${job.type}) ${result.responseTime || 0}ms${result.errorMessage ? ` - ${result.errorMessage}` : ''}`);
+
+    const submission = {
+      jobId: job.jobId,
+      monitorId: job.monitorId,
+      timestamp: new Date().toISOString(),
+      result
+    };
+    socket.emit('probe:result', {
+      ...submission,
+      keyId: state.keyId,
+      signature: signResult(submission, state.privateKey)
+    });
+  } catch (error) {
+    console.error(`Error running job ${job.jobId}:`, error.message);
+  } finally {
+    running--;
+  }
+}
+
+// Register a new key pair for the probe; the previous key stays valid for a short grace period
+async function rotateKey() {
+  const state = loadState();
+  if (!config.token || !state.probeId) {
+    console.error('PROBE_TOKEN and a registered probe are required to rotate its key');
+    process.exit(1);
+  }
+
+  const keys = generateKeys();
+  try {
+    await axios.post(
+      `${config.serverUrl}/api/monitor/probes/${state.probeId}/keys`,
+      { publicKey: keys.publicKey },
+      { headers: { Authorization: `Bearer ${config.token}` } }
+    );
+
+    saveState({ ...state, ...keys });
+    console.log(chalk.green(`Rotated key of probe ${state.probeId}, new key ${keys.keyId}`));
+  } catch (error) {
+    console.error(chalk.red(`Key rotation failed: ${error.response ? error.response.data.error : error.message}`));
+    process.exit(1);
+  }
+}
+
+function main() {
+  if (!config.token || !config.region) {
+    console.error('PROBE_TOKEN and PROBE_REGION are required');
+    process.exit(1);
+  }
+
+  const state = loadState();
+  if (!state.privateKey) {
+    Object.assign(state, generateKeys());
+    saveState(state);
+  }
+  const capabilities = listCheckTypes()
+    .filter(checkType => !checkType.push)
+    .map(checkType => checkType.type);
+
+  const socket = io(`${config.serverUrl}/probes`, {
+    auth: { token: config.token }
+  });
+
+  socket.on('connect', () => {
+    console.log(`Connected to ${config.serverUrl}, registering...`);
+    socket.emit('probe:register', {
+      ...(state.probeId && { probeId: state.probeId }),
+      ...(config.name && { name: config.name }),
+      region: config.region,
+      publicKey: state.publicKey,
+      capabilities,
+      version,
+      ...(config.city && { city: config.city }),
+      ...(config.country && { country: config.country })
+    });
+  });
+
+  socket.on('probe:registered', (probe) => {
+    console.log(chalk.green(`Registered as ${probe.name} (${probe.probeId}) in ${probe.region}`));
+    console.log(`Capabilities: ${probe.capabilities.join(', ')}`);
+    state.probeId = probe.probeId;
+    saveState(state);
+    pull(socket);
+  });
+
+  socket.on('probe:jobs', async ({ jobs }) => {
+    if (jobs.length === 0) {
+      schedulePull(socket);
+      return;
+    }
+
+    await Promise.all(jobs.map(job => runJob(socket, state, job)));
+    pull(socket);
+  });
+
+  socket.on('probe:result:rejected', ({ jobId, error }) => {
+    console.warn(chalk.yellow(`Result for job ${jobId} rejected: ${error}`));
+  });
+
+  socket.on('probe:error', ({ event, error }) => {
+    console.error(chalk.red(`${event} failed: ${error}`));
+    if (event === 'probe:register') {
+      // e.g. the probe was disabled or deleted; remove the state file to register a new one
+      socket.close();
+      process.exit(1);
+    }
+    if (event === 'probe:pull') schedulePull(socket);
+  });
+
+  socket.on('connect_error', (error) => {
+    console.error(chalk.red(`Connection failed: ${error.message}`));
+  });
+
+  socket.on('disconnect', (reason) => {
+    console.warn(`Disconnected (${reason})`);
+    clearTimeout(pullTimer);
+    pullTimer = null;
+  });
+
+  // Handle clean shutdown
+  process.on('SIGINT', () => {
+    console.log('\nGracefully shutting down...');
+    socket.close();
+    process.exit(0);
+  });
+}
+
+if (process.argv[2] === 'rotate-key') {
+  rotateKey();
+} else {
+  main();
+}
@@ -18,6 +18,7 @@ const { DatabaseConnect } = require('./Database/module.db');
 const VerificationService = require('./utils/verificationService');
 const monitoringService = require('./services/monitoringService');
 const WebSocketService = require('./services/websocketService');
+const ProbeService = require('./services/probeService');
 
 // Authentication
 const { Clerk } = require('@clerk/clerk-sdk-node');
@@ -35,6 +36,9 @@ const server = http.createServer(app);
 const websocketService = new WebSocketService(server);
 console.log('WebSocket service initialized');
 
+// Remote probes share the Socket.io server on the /probes namespace
+const probeService = new ProbeService(websocketService.io);
+
 // Initialize Clerk authentication
 const clerkSecretKey = process.env.CLERK_SECRET_KEY || 'sk_test_VBeSmbzGKzeMdiMfQaB86TpVscMJmpKU28Ty6OodUS';
 const clerk = new Clerk({ secretKey: clerkSecretKey });
@@ -176,6 +180,20 @@ process.on('uncaughtException', (error) => {
   console.error('Uncaught Exception:', error);
 });
 
+// Hand scheduled checks over to the other instances before exiting
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down...`);
+  try {
+    await monitoringService.stopMonitoring();
+  } catch (error) {
+    console.error('Error stopping monitoring service:', error);
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Set up scheduled tasks
 function setupScheduledTasks() {
   // Cleanup expired verification codes
@@ -188,7 +206,19 @@ function setupScheduledTasks() {
       console.error('Error in scheduled cleanup task:', error);
     }
   }, 5 * 60 * 1000); // Every 5 minutes
-  
+
+  // Settle probe results no other check confirmed in time
+  setInterval(async () => {
+    try {
+      const settledCount = await monitoringService.settleHeldChecks();
+      if (settledCount > 0) {
+        console.log(`Settled ${settledCount} held probe results`);
+      }
+    } catch (error) {
+      console.error('Error settling held probe results:', error);
+    }
+  }, 60 * 1000); // Every minute
+
   // Initialize monitoring service
   monitoringService.scheduleMonitorChecks().catch(error => {
     console.error('Failed to initialize monitoring service:', error);
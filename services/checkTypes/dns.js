@@ -0,0 +1,179 @@
+const dns = require('dns').promises;
+const net = require('net');
+const { z } = require('zod');
+const { isPattern, toRegExp } = require('../../utils/assertions');
+const { getCheckTarget } = require('./target');
+const { hostSchema } = require('./schemas');
+
+/**
+ * Normalize DNS records of any type into comparable strings
+ * @param {string} recordType Record type that was queried
+ * @param {Array|Object} records Records returned by the resolver
+ * @returns {Array} Normalized record strings
+ */
+const normalizeDnsRecords = (recordType, records) => {
+    const stripDot = (value) => String(value).toLowerCase().replace(/\.$/, '');
+    
+    switch (recordType) {
+        case 'MX':
+            return records.map(record => `${record.priority} ${stripDot(record.exchange)}`);
+        case 'TXT':
+            return records.map(chunks => chunks.join(''));
+        case 'SOA':
+            return [`${stripDot(records.nsname)} ${stripDot(records.hostmaster)} ${records.serial}`];
+        case 'A':
+        case 'AAAA':
+            return records.map(record => String(record).toLowerCase());
+        default:
+            return records.map(stripDot);
+    }
+};
+
+/**
+ * Check whether a DNS record matches an expected value or /regex/ pattern
+ * @param {string} record Normalized record
+ * @param {string} expected Expected value or pattern
+ * @returns {boolean} True if the record matches
+ */
+const dnsRecordMatches = (record, expected) => {
+    if (isPattern(expected)) {
+        return toRegExp(expected).test(record);
+    }
+    return record.toLowerCase() === expected.trim().toLowerCase().replace(/\.$/, '');
+};
+
+/**
+ * Split a nameserver setting into host and port
+ * IPv6 addresses are accepted bare, or in brackets when a port is given ([2001:db8::1]:53).
+ * @param {string} nameserver Nameserver host or IP, with optional :port
+ * @returns {Object|null} { host, port } with a null port when none is given, null if invalid
+ */
+const parseNameserver = (nameserver) => {
+    const value = String(nameserver).trim();
+    if (net.isIP(value)) {
+        return { host: value, port: null };
+    }
+    
+    const match = value.match(/^\[([^\]]+)\](?::(\d+))?$/) || value.match(/^([^:[\]\s]+)(?::(\d+))?$/);
+    if (!match || (value.startsWith('[') && !net.isIPv6(match[1]))) {
+        return null;
+    }
+    
+    const port = match[2] ? parseInt(match[2], 10) : null;
+    if (port !== null && (port < 1 || port > 65535)) {
+        return null;
+    }
+    
+    return { host: match[1], port };
+};
+
+/**
+ * Create a resolver, optionally pointed at a specific nameserver
+ * @param {string} nameserver Nameserver host or IP, with optional :port
+ * @param {number} timeout Query timeout in milliseconds
+ * @returns {Object} DNS resolver
+ */
+const createDnsResolver = async (nameserver, timeout) => {
+    const resolver = new dns.Resolver({ timeout, tries: 1 });
+    
+    if (nameserver) {
+        const parsed = parseNameserver(nameserver);
+        if (!parsed) {
+            throw new Error(`Invalid nameserver: ${nameserver}`);
+        }
+        
+        // Nameservers given by name may only have an IPv6 address
+        const address = net.isIP(parsed.host) ? parsed.host : (await dns.lookup(parsed.host)).address;
+        const server = net.isIPv6(address) ? `[${address}]` : address;
+        resolver.setServers([parsed.port ? `${server}:${parsed.port}` : address]);
+    }
+    
+    return resolver;
+};
+
+/**
+ * Perform a DNS check
+ * Resolves the configured record type and compares the answer against
+ * the expected values.
+ * @param {Object} monitor Monitor object
+ * @param {string} location Check location
+ * @returns {Object} Check result
+ */
+const performDnsCheck = async (monitor, location) => {
+    const startTime = Date.now();
+    const config = monitor.dns || {};
+    const recordType = config.recordType || 'A';
+    const expected = config.expected || [];
+    const { hostname } = getCheckTarget(monitor, 53);
+    
+    let success = false;
+    let errorMessage = null;
+    let records = [];
+    let missing = [];
+    let unexpected = [];
+    
+    try {
+        const resolver = await createDnsResolver(config.nameserver, monitor.timeout);
+        records = normalizeDnsRecords(recordType, await resolver.resolve(hostname, recordType));
+        
+        missing = expected.filter(value => !records.some(record => dnsRecordMatches(record, value)));
+        unexpected = config.exact
+            ? records.filter(record => !expected.some(value => dnsRecordMatches(record, value)))
+            : [];
+        
+        if (records.length === 0) {
+            errorMessage = `DNS error: no ${recordType} records found for ${hostname}`;
+        } else if (missing.length > 0 || unexpected.length > 0) {
+            const problems = [];
+            if (missing.length > 0) problems.push(`missing ${missing.join(', ')}`);
+            if (unexpected.length > 0) problems.push(`unexpected ${unexpected.join(', ')}`);
+            errorMessage = `DNS ${recordType} records for ${hostname} do not match: ${problems.join('; ')}`;
+        } else {
+            success = true;
+        }
+    } catch (error) {
+        errorMessage = error.code === 'ENODATA' || error.code === 'ENOTFOUND'
+            ? `DNS error: no ${recordType} records found for ${hostname}`
+            : `DNS error: ${error.message}`;
+        missing = expected;
+    }
+    
+    return {
+        success,
+        responseTime: Date.now() - startTime,
+        dns: {
+            recordType,
+            nameserver: config.nameserver || null,
+            records,
+            expected,
+            missing,
+            unexpected
+        },
+        incidentType: 'dns',
+        errorMessage,
+        location
+    };
+};
+
+module.exports = {
+    type: 'dns',
+    label: 'DNS',
+    description: 'Resolve a host name and check the returned records',
+    configSchema: z.object({
+        url: hostSchema,
+        dns: z.object({
+            recordType: z.enum(['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA']).optional().describe('Record type'),
+            expected: z.array(z.string()).optional().describe('Expected records'),
+            exact: z.boolean().optional().describe('Records must match exactly'),
+            nameserver: z.string()
+                .refine(value => parseNameserver(value) !== null, {
+                    message: 'Nameserver must be a host or IP with an optional port (e.g. 1.1.1.1:53 or [2001:4860:4860::8888]:53)'
+                })
+                .nullable()
+                .optional()
+                .describe('Nameserver')
+        }).optional().describe('DNS')
+    }),
+    resultFields: ['dns'],
+    execute: performDnsCheck
+};
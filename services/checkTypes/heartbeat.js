@@ -0,0 +1,44 @@
+const { z } = require('zod');
+
+/**
+ * Evaluate a heartbeat monitor
+ * Heartbeat monitors are push-based: the check fails when no ping arrived
+ * within the expected interval plus the grace period.
+ * @param {Object} monitor Monitor object
+ * @param {string} location Check location
+ * @returns {Object} Check result
+ */
+const performHeartbeatCheck = async (monitor, location) => {
+    const heartbeat = monitor.heartbeat || {};
+    const lastPingAt = heartbeat.lastPingAt || monitor.createdAt;
+    const deadline = new Date(new Date(lastPingAt).getTime() + (monitor.interval + (heartbeat.grace || 0)) * 1000);
+    const success = Date.now() <= deadline.getTime();
+    
+    return {
+        success,
+        responseTime: 0,
+        heartbeat: success ? undefined : { kind: 'missed' },
+        errorMessage: success
+            ? null
+            : `No heartbeat received since ${new Date(lastPingAt).toISOString()} (expected by ${deadline.toISOString()})`,
+        // Evaluate again right when the ping becomes overdue
+        nextCheckAt: success ? deadline : null,
+        location
+    };
+};
+
+module.exports = {
+    type: 'heartbeat',
+    label: 'Heartbeat',
+    description: 'Expect pings from a cron job or worker and alert when they stop',
+    // Results are pushed to the ping URL; scheduled runs only detect missed pings
+    push: true,
+    configSchema: z.object({
+        url: z.string().min(1).describe('Job URL or name'),
+        heartbeat: z.object({
+            grace: z.number().int().min(0).optional().describe('Grace period (seconds)')
+        }).optional().describe('Heartbeat')
+    }),
+    resultFields: ['heartbeat'],
+    execute: performHeartbeatCheck
+};
@@ -0,0 +1,80 @@
+const { z } = require('zod');
+const { normalizeContent, hashContent } = require('../../utils/contentChange');
+const { executeHttpRequest } = require('./httpRequest');
+const {
+    urlWithProtocols,
+    expectedStatusSchema,
+    requestConfigSchema,
+    assertionsSchema
+} = require('./schemas');
+
+/**
+ * Perform an HTTP/HTTPS check
+ * @param {Object} monitor Monitor object
+ * @param {string} location Check location
+ * @returns {Object} Check result
+ */
+const performHttpCheck = async (monitor, location) => {
+    const { headers, body, ...result } = await executeHttpRequest({
+        url: monitor.url,
+        request: monitor.request,
+        expectedStatusCode: monitor.expectedStatusCode,
+        redirects: monitor.redirects,
+        assertions: monitor.assertions,
+        timeout: monitor.timeout
+    });
+    
+    // Snapshot the content so changes can be detected (error pages are not compared)
+    let content;
+    if (monitor.content && monitor.content.trackChanges && result.success) {
+        try {
+            const snapshot = normalizeContent(body, monitor.content);
+            content = { hash: hashContent(snapshot), snapshot };
+        } catch (error) {
+            console.error(`Error normalizing content for ${monitor.name}:`, error);
+        }
+    }
+    
+    return {
+        ...result,
+        content,
+        contentHash: content ? content.hash : null,
+        location
+    };
+};
+
+const httpCheckType = {
+    configSchema: z.object({
+        url: urlWithProtocols(['http:', 'https:']),
+        expectedStatusCode: expectedStatusSchema,
+        request: requestConfigSchema,
+        assertions: assertionsSchema,
+        redirects: z.object({
+            policy: z.enum(['follow', 'none', 'limit']).optional().describe('Redirect policy'),
+            maxHops: z.number().int().min(0).max(10).optional().describe('Maximum redirects'),
+            allowedDomains: z.array(z.string()).optional().describe('Allowed redirect domains')
+        }).optional().describe('Redirects'),
+        content: z.object({
+            trackChanges: z.boolean().optional().describe('Alert when the content changes'),
+            selector: z.string().nullable().optional().describe('CSS selector'),
+            ignorePatterns: z.array(z.string()).optional().describe('Ignored patterns')
+        }).optional().describe('Content change detection')
+    }),
+    resultFields: ['timings', 'assertions', 'redirects', 'finalUrl', 'contentHash'],
+    execute: performHttpCheck
+};
+
+module.exports = [
+    {
+        ...httpCheckType,
+        type: 'http',
+        label: 'HTTP',
+        description: 'Request a URL and check the status code, response time and body'
+    },
+    {
+        ...httpCheckType,
+        type: 'https',
+        label: 'HTTPS',
+        description: 'Request a URL over TLS and check the status code, response time and body'
+    }
+];
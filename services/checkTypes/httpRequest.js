@@ -0,0 +1,168 @@
+const axios = require('axios');
+const { evaluateAssertions } = require('../../utils/assertions');
+const { buildRequestOptions } = require('../../utils/requestConfig');
+const { createTimedAgents } = require('../../utils/requestTimings');
+const { matchesStatus } = require('../../utils/statusCodes');
+
+// Upper bound on redirects for the 'follow' policy
+const MAX_REDIRECTS = 10;
+
+/**
+ * Check whether a host is covered by a list of allowed domains
+ * @param {string} hostname Host name to check
+ * @param {Array} allowedDomains Allowed domains (subdomains included); empty allows any host
+ * @returns {boolean} True if the host is allowed
+ */
+const isAllowedHost = (hostname, allowedDomains = []) => {
+    if (allowedDomains.length === 0) return true;
+    
+    const host = hostname.toLowerCase();
+    return allowedDomains.some(domain => {
+        const allowed = domain.toLowerCase().replace(/^\*\./, '');
+        return host === allowed || host.endsWith(`.${allowed}`);
+    });
+};
+
+/**
+ * Send an HTTP request, apply the redirect policy and evaluate status code and assertions
+ * @param {Object} target Request target
+ * @param {string} target.url URL to request
+ * @param {Object} target.request Method, headers, body and auth settings
+ * @param {string} target.expectedStatusCode Expected status codes and ranges (e.g. "200-299,301")
+ * @param {Object} target.redirects Redirect policy ({ policy, maxHops, allowedDomains })
+ * @param {Array} target.assertions Assertions to evaluate on the response
+ * @param {number} target.timeout Timeout in milliseconds
+ * @returns {Object} Request result including redirect chain, response headers and body
+ */
+const executeHttpRequest = async ({ url, request, expectedStatusCode = '200', redirects, assertions: rules, timeout }) => {
+    const startTime = Date.now();
+    let success = false;
+    let statusCode = 0;
+    let responseTime = 0;
+    let errorMessage = null;
+    let assertions = [];
+    let headers = {};
+    let body = '';
+    
+    const policy = (redirects && redirects.policy) || 'follow';
+    const maxHops = policy === 'limit' ? redirects.maxHops : policy === 'none' ? 0 : MAX_REDIRECTS;
+    const allowedDomains = (redirects && redirects.allowedDomains) || [];
+    const chain = [];
+    let finalUrl = url;
+    
+    // Agents that record DNS, connect, TLS, first byte and download timings
+    const { httpAgent, httpsAgent, finish } = createTimedAgents({ rejectUnauthorized: true });
+    let timings = null;
+    
+    try {
+        let options = buildRequestOptions(request);
+        let response;
+        let redirectError = null;
+        
+        // Redirects are followed here rather than by axios so every hop can be recorded and checked
+        for (;;) {
+            response = await axios.request({
+                url: finalUrl,
+                ...options,
+                timeout,
+                httpAgent,
+                httpsAgent,
+                maxRedirects: 0,
+                responseType: 'arraybuffer', // Keep the raw body for size and content assertions
+                validateStatus: () => true // Accept any status code to check
+            });
+            
+            const location = response.headers && response.headers.location;
+            if (policy === 'none' || response.status < 300 || response.status >= 400 || !location) {
+                break;
+            }
+            
+            const nextUrl = new URL(location, finalUrl);
+            chain.push({ url: finalUrl, statusCode: response.status, location: nextUrl.toString() });
+            
+            if (chain.length > maxHops) {
+                redirectError = `Too many redirects (more than ${maxHops})`;
+                break;
+            }
+            if (!isAllowedHost(nextUrl.hostname, allowedDomains)) {
+                redirectError = `Redirect to ${nextUrl.hostname} leaves the allowed domains (${allowedDomains.join(', ')})`;
+                break;
+            }
+            
+            // Browsers turn the request into a GET after a 303, and after a 301/302 to a POST
+            if (response.status === 303 || ((response.status === 301 || response.status === 302) && options.method === 'post')) {
+                options = { ...options, method: 'get' };
+                delete options.data;
+            }
+            
+            // Don't send credentials to another host
+            if (nextUrl.hostname !== new URL(finalUrl).hostname) {
+                options = { ...options, headers: { ...options.headers } };
+                delete options.auth;
+                for (const name of Object.keys(options.headers)) {
+                    if (/^(authorization|cookie|proxy-authorization)$/i.test(name)) {
+                        delete options.headers[name];
+                    }
+                }
+            }
+            
+            finalUrl = nextUrl.toString();
+        }
+        
+        timings = finish();
+        responseTime = Date.now() - startTime;
+        statusCode = response.status;
+        headers = response.headers || {};
+        
+        const rawBody = Buffer.from(response.data || []);
+        body = rawBody.toString('utf8');
+        assertions = evaluateAssertions(rules, {
+            body,
+            size: rawBody.length
+        });
+        const failedAssertions = assertions.filter(assertion => !assertion.passed);
+        const statusMatches = matchesStatus(expectedStatusCode, statusCode);
+        
+        // Check if status code matches expected
+        success = !redirectError && statusMatches && failedAssertions.length === 0;
+        
+        if (redirectError) {
+            errorMessage = redirectError;
+        } else if (!statusMatches) {
+            errorMessage = `Expected status code ${expectedStatusCode}, got ${statusCode}`;
+        } else if (failedAssertions.length > 0) {
+            errorMessage = `Assertion failed: ${failedAssertions.map(assertion => assertion.message).join('; ')}`;
+        }
+    } catch (error) {
+        timings = finish();
+        responseTime = Date.now() - startTime;
+        errorMessage = error.message;
+        
+        if (error.response) {
+            statusCode = error.response.status;
+            errorMessage = `HTTP error: ${statusCode} ${error.response.statusText}`;
+        } else if (error.request) {
+            errorMessage = `No response: ${error.message}`;
+        } else {
+            errorMessage = `Request error: ${error.message}`;
+        }
+    }
+    
+    return {
+        success,
+        statusCode,
+        responseTime,
+        timings,
+        assertions,
+        redirects: chain,
+        finalUrl,
+        errorMessage,
+        headers,
+        body
+    };
+};
+
+module.exports = {
+    executeHttpRequest,
+    isAllowedHost
+};
@@ -0,0 +1,282 @@
+/**
+ * Registry of monitor check types
+ * Each type declares its config schema (zod), its executor and the MonitorCheck fields it fills.
+ */
+
+const { z } = require('zod');
+
+// Registered check types by name
+const checkTypes = new Map();
+
+// Settings shared by every monitor type
+const baseConfigSchema = z.object({
+    name: z.string().min(1, { message: 'Name is required' }).describe('Monitor name'),
+    interval: z.number().int().min(60, { message: 'Interval must be at least 60 seconds' }).optional().describe('Check interval (seconds)'),
+    incidentInterval: z.number().int().min(30, { message: 'Incident interval must be at least 30 seconds' }).nullable().optional().describe('Interval while down or degraded (seconds)'),
+    activeHours: z.object({
+        enabled: z.boolean().optional().describe('Only check during active hours'),
+        days: z.array(z.number().int().min(0).max(6)).min(1).optional().describe('Days (0 = Sunday)'),
+        start: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, { message: 'Start must be a HH:mm time' }).optional().describe('Start (HH:mm)'),
+        end: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, { message: 'End must be a HH:mm time' }).optional().describe('End (HH:mm)'),
+        timezone: z.string().nullable().optional().describe('Timezone (defaults to yours)'),
+        outsideInterval: z.number().int().min(60).nullable().optional().describe('Interval outside active hours (seconds, empty pauses)')
+    }).optional().describe('Active hours'),
+    timeout: z.number().int().positive().optional().describe('Timeout (milliseconds)'),
+    alertThreshold: z.number().int().min(1).optional().describe('Failures before alert'),
+    confirmation: z.object({
+        retries: z.number().int().min(0).max(5).optional().describe('Immediate retries'),
+        backoff: z.number().int().min(0).max(30000).optional().describe('Retry backoff (milliseconds)'),
+        recoveryThreshold: z.number().int().min(1).optional().describe('Successes before recovery')
+    }).optional().describe('Confirmation'),
+    locations: z.array(z.enum(['us-east', 'us-west', 'eu-central', 'ap-south', 'ap-east'])).optional().describe('Locations'),
+    quorum: z.number().int().min(1).optional().describe('Failing locations before down'),
+    flapping: z.object({
+        enabled: z.boolean().optional().describe('Detect flapping'),
+        window: z.number().int().min(5).max(1440).optional().describe('Window (minutes)'),
+        threshold: z.number().int().min(2).max(50).optional().describe('Status changes in window'),
+        stablePeriod: z.number().int().min(1).max(1440).optional().describe('Stable period (minutes)')
+    }).optional().describe('Flapping detection'),
+    dependsOn: z.array(z.string().regex(/^[a-f\d]{24}$/i, { message: 'Invalid monitor ID' })).max(20).optional().describe('Parent monitors'),
+    active: z.boolean().optional().describe('Active'),
+    performance: z.object({
+        warningThreshold: z.number().positive().nullable().optional().describe('Warning threshold (ms)'),
+        criticalThreshold: z.number().positive().nullable().optional().describe('Critical threshold (ms)'),
+        window: z.number().int().min(1).max(100).optional().describe('Checks evaluated'),
+        aggregation: z.enum(['average', 'percentile']).optional().describe('Aggregation'),
+        percentile: z.number().min(1).max(100).optional().describe('Percentile')
+    }).optional().describe('Response time thresholds')
+});
+
+/**
+ * Register a check type
+ * @param {Object} definition Check type definition
+ * @param {string} definition.type Type name stored on the monitor
+ * @param {string} definition.label Human-readable name
+ * @param {string} definition.description Short description
+ * @param {Object} definition.configSchema Zod schema of the type-specific monitor settings
+ * @param {Array} definition.resultFields MonitorCheck fields filled from the check result
+ * @param {Function} definition.execute async (monitor, location) => check result
+ * @param {boolean} definition.push True when results are pushed to the server instead of polled
+ */
+const registerCheckType = (definition) => {
+    const { type, configSchema, execute } = definition;
+
+    if (!type || !configSchema || typeof execute !== 'function') {
+        throw new Error('A check type needs a type, a configSchema and an execute function');
+    }
+    if (checkTypes.has(type)) {
+        throw new Error(`Check type already registered: ${type}`);
+    }
+
+    checkTypes.set(type, {
+        label: type,
+        description: '',
+        resultFields: [],
+        push: false,
+        ...definition
+    });
+};
+
+/**
+ * Get a registered check type
+ * @param {string} type Type name
+ * @returns {Object|null} Check type definition
+ */
+const getCheckType = (type) => checkTypes.get(type) || null;
+
+/**
+ * Check whether a type is registered
+ * @param {string} type Type name
+ * @returns {boolean} True if registered
+ */
+const hasCheckType = (type) => checkTypes.has(type);
+
+/**
+ * Run the check of a monitor with the executor of its type
+ * @param {Object} monitor Monitor object
+ * @param {string} location Check location
+ * @returns {Object} Check result
+ */
+const performCheck = async (monitor, location) => {
+    // Unknown types are checked over HTTP, as before the registry existed
+    const checkType = getCheckType(monitor.type) || getCheckType('https');
+    return checkType.execute(monitor, location);
+};
+
+/**
+ * Pick the MonitorCheck fields a check type fills from its result
+ * @param {string} type Type name
+ * @param {Object} checkResult Check result
+ * @returns {Object} Fields to store on the MonitorCheck
+ */
+const getResultFields = (type, checkResult) => {
+    const checkType = getCheckType(type) || getCheckType('https');
+    const fields = {};
+
+    for (const field of checkType.resultFields) {
+        if (checkResult[field] !== undefined) {
+            fields[field] = checkResult[field];
+        }
+    }
+
+    return fields;
+};
+
+/**
+ * Validate monitor settings against the schema of a check type
+ * @param {string} type Type name
+ * @param {Object} config Submitted monitor settings
+ * @param {Object} options Options
+ * @param {boolean} options.partial Only validate the submitted fields (updates)
+ * @returns {Object} { success, errors } with errors as [{ field, message }]
+ */
+const validateMonitorConfig = (type, config, { partial = false } = {}) => {
+    const checkType = getCheckType(type);
+    if (!checkType) {
+        return {
+            success: false,
+            errors: [{ field: 'type', message: `Unknown monitor type: ${type}` }]
+        };
+    }
+
+    const schema = baseConfigSchema.merge(checkType.configSchema);
+    const result = (partial ? schema.partial() : schema).safeParse(config || {});
+
+    return {
+        success: result.success,
+        errors: result.success ? [] : result.error.errors.map(err => ({
+            field: err.path.join('.'),
+            message: err.message
+        }))
+    };
+};
+
+/**
+ * Unwrap optional, nullable, default and refined zod schemas
+ * @param {Object} schema Zod schema
+ * @returns {Object} { schema, required, defaultValue, description }
+ */
+const unwrapSchema = (schema) => {
+    let current = schema;
+    let required = true;
+    let defaultValue;
+    let description = schema.description;
+
+    for (;;) {
+        const { typeName } = current._def;
+
+        if (typeName === 'ZodOptional' || typeName === 'ZodNullable') {
+            required = false;
+            current = current._def.innerType;
+        } else if (typeName === 'ZodDefault') {
+            required = false;
+            defaultValue = current._def.defaultValue();
+            current = current._def.innerType;
+        } else if (typeName === 'ZodEffects') {
+            current = current._def.schema;
+        } else {
+            break;
+        }
+
+        description = description || current.description;
+    }
+
+    return { schema: current, required, defaultValue, description };
+};
+
+/**
+ * Describe a zod schema as a form field
+ * @param {string} name Field path (e.g. "tcp.send")
+ * @param {Object} schema Zod schema
+ * @returns {Object} Field description for clients
+ */
+const describeField = (name, schema) => {
+    const { schema: inner, required, defaultValue, description } = unwrapSchema(schema);
+    const field = { name, label: description || name, required };
+
+    if (defaultValue !== undefined) {
+        field.default = defaultValue;
+    }
+
+    switch (inner._def.typeName) {
+        case 'ZodString':
+            field.type = 'string';
+            break;
+        case 'ZodNumber':
+            field.type = 'number';
+            for (const check of inner._def.checks) {
+                if (check.kind === 'min') field.min = check.value;
+                if (check.kind === 'max') field.max = check.value;
+            }
+            break;
+        case 'ZodBoolean':
+            field.type = 'boolean';
+            break;
+        case 'ZodEnum':
+            field.type = 'enum';
+            field.options = inner.options;
+            break;
+        case 'ZodArray':
+            field.type = 'array';
+            field.items = describeField(name, inner.element);
+            break;
+        case 'ZodObject':
+            field.type = 'object';
+            field.fields = describeFields(inner, `${name}.`);
+            break;
+        case 'ZodRecord':
+            field.type = 'map';
+            break;
+        default:
+            // Unions such as "200" or 200 are entered as text
+            field.type = 'string';
+    }
+
+    return field;
+};
+
+/**
+ * Describe the fields of a zod object schema
+ * @param {Object} schema Zod object schema
+ * @param {string} prefix Path prefix of nested fields
+ * @returns {Array} Field descriptions
+ */
+const describeFields = (schema, prefix = '') => Object.entries(schema.shape)
+    .map(([key, value]) => describeField(`${prefix}${key}`, value));
+
+/**
+ * List the registered check types with their form fields
+ * @returns {Array} Check type descriptions
+ */
+const listCheckTypes = () => [...checkTypes.values()].map(checkType => ({
+    type: checkType.type,
+    label: checkType.label,
+    description: checkType.description,
+    push: checkType.push,
+    fields: describeFields(checkType.configSchema),
+    resultFields: checkType.resultFields
+}));
+
+// Built-in check types
+[
+    ...require('./http'),
+    require('./transaction'),
+    require('./tcp'),
+    require('./ping'),
+    require('./dns'),
+    require('./ssl'),
+    require('./websocket'),
+    require('./heartbeat')
+].forEach(registerCheckType);
+
+module.exports = {
+    baseConfigSchema,
+    describeFields,
+    registerCheckType,
+    getCheckType,
+    hasCheckType,
+    performCheck,
+    getResultFields,
+    validateMonitorConfig,
+    listCheckTypes
+};
@@ -0,0 +1,48 @@
+const axios = require('axios');
+const { z } = require('zod');
+const { hostSchema } = require('./schemas');
+
+/**
+ * Perform a ping check (simulated with HTTP request)
+ * @param {Object} monitor Monitor object
+ * @param {string} location Check location
+ * @returns {Object} Check result
+ */
+const performPingCheck = async (monitor, location) => {
+    // In production, you might want to use a real ping tool
+    // Here we simulate with a quick HTTP HEAD request
+    const startTime = Date.now();
+    let success = false;
+    let responseTime = 0;
+    let errorMessage = null;
+    
+    try {
+        await axios.head(monitor.url, {
+            timeout: monitor.timeout
+        });
+        
+        responseTime = Date.now() - startTime;
+        success = true;
+    } catch (error) {
+        responseTime = Date.now() - startTime;
+        errorMessage = `Ping error: ${error.message}`;
+    }
+    
+    return {
+        success,
+        responseTime,
+        errorMessage,
+        location
+    };
+};
+
+module.exports = {
+    type: 'ping',
+    label: 'Ping',
+    description: 'Check that a host responds',
+    configSchema: z.object({
+        url: hostSchema
+    }),
+    resultFields: [],
+    execute: performPingCheck
+};
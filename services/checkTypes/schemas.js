@@ -0,0 +1,64 @@
+const { z } = require('zod');
+const { isValidStatusSpec } = require('../../utils/statusCodes');
+
+/**
+ * URL restricted to a set of protocols
+ * @param {Array} protocols Allowed protocols (e.g. ['http:', 'https:'])
+ * @returns {Object} Zod schema
+ */
+const urlWithProtocols = (protocols) => z.string()
+    .url({ message: 'Invalid URL format. Example: https://example.com' })
+    .refine(value => {
+        // zod runs refinements after .url() failed; those values were already reported
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            return true;
+        }
+        return protocols.includes(url.protocol);
+    }, {
+        message: `URL must use ${protocols.map(protocol => protocol.replace(':', '')).join(' or ')}`
+    })
+    .describe('URL');
+
+// Host name, IP address or URL of socket-level checks
+const hostSchema = z.string().min(1, { message: 'Host is required' }).describe('Host name or URL');
+
+const portSchema = z.number().int().min(1).max(65535).nullable().optional().describe('Port');
+
+const expectedStatusSchema = z.union([z.number().int(), z.string()])
+    .refine(isValidStatusSpec, { message: 'Expected status must look like 200-299,301' })
+    .optional()
+    .describe('Expected status codes (e.g. 200-299,301)');
+
+const requestConfigSchema = z.object({
+    method: z.enum(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']).optional().describe('Method'),
+    headers: z.record(z.string()).optional().describe('Headers'),
+    body: z.string().nullable().optional().describe('Body'),
+    auth: z.object({
+        scheme: z.enum(['none', 'basic', 'bearer']).optional().describe('Authentication'),
+        username: z.string().nullable().optional().describe('Username'),
+        password: z.string().nullable().optional().describe('Password'),
+        token: z.string().nullable().optional().describe('Bearer token')
+    }).optional().describe('Authentication')
+}).optional().describe('Request');
+
+const assertionSchema = z.object({
+    type: z.enum(['contains', 'notContains', 'regex', 'jsonPath', 'maxSize']).describe('Assertion'),
+    path: z.string().nullable().optional().describe('JSONPath'),
+    operator: z.enum(['equals', 'exists']).optional().describe('Operator'),
+    value: z.union([z.string(), z.number()]).nullable().optional().describe('Value')
+});
+
+const assertionsSchema = z.array(assertionSchema).optional().describe('Response assertions');
+
+module.exports = {
+    urlWithProtocols,
+    hostSchema,
+    portSchema,
+    expectedStatusSchema,
+    requestConfigSchema,
+    assertionSchema,
+    assertionsSchema
+};
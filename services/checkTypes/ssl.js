@@ -0,0 +1,186 @@
+const net = require('net');
+const tls = require('tls');
+const { z } = require('zod');
+const { getCheckTarget } = require('./target');
+const { hostSchema, portSchema } = require('./schemas');
+
+/**
+ * Format a certificate subject/issuer object as a distinguished name
+ * @param {Object} name Name object from a peer certificate
+ * @returns {string} Distinguished name, e.g. "CN=example.com, O=Example"
+ */
+const formatDistinguishedName = (name) => {
+    if (!name) return null;
+    
+    return Object.entries(name)
+        .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('+') : value}`)
+        .join(', ');
+};
+
+/**
+ * Map a TLS verification error code to a readable message
+ * @param {string} code Error code reported by the TLS socket
+ * @returns {string} Error message
+ */
+const describeSslError = (code) => {
+    if (code === 'CERT_HAS_EXPIRED') {
+        return 'SSL certificate has expired';
+    } else if (code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE') {
+        return 'Unable to verify SSL certificate';
+    } else if (code === 'CERT_SIGNATURE_FAILURE') {
+        return 'SSL certificate signature is invalid';
+    } else if (code === 'DEPTH_ZERO_SELF_SIGNED_CERT' || code === 'SELF_SIGNED_CERT_IN_CHAIN') {
+        return 'SSL certificate is self-signed';
+    }
+    return `SSL error: ${code}`;
+};
+
+/**
+ * Perform an SSL certificate check
+ * Opens a TLS connection and inspects the peer certificate chain, validity
+ * window, hostname match, negotiated protocol and cipher.
+ * @param {Object} monitor Monitor object
+ * @param {string} location Check location
+ * @returns {Object} Check result
+ */
+const performSslCheck = async (monitor, location) => {
+    const startTime = Date.now();
+    const { hostname, port } = getCheckTarget(monitor, 443);
+    const warningDays = monitor.ssl && monitor.ssl.expiryWarningDays !== undefined
+        ? monitor.ssl.expiryWarningDays
+        : 14;
+    
+    let success = false;
+    let errorMessage = null;
+    let incidentType = 'downtime';
+    const warnings = [];
+    let ssl = null;
+    let connectTime = null;
+    let tlsTime = null;
+    
+    try {
+        const socket = await new Promise((resolve, reject) => {
+            // Verification is evaluated below so that we can still report on invalid certificates
+            const tlsSocket = tls.connect({
+                host: hostname,
+                port,
+                servername: net.isIP(hostname) ? undefined : hostname,
+                rejectUnauthorized: false
+            });
+            
+            tlsSocket.setTimeout(monitor.timeout);
+            tlsSocket.once('connect', () => {
+                connectTime = Date.now() - startTime;
+            });
+            tlsSocket.once('secureConnect', () => {
+                tlsTime = Date.now() - startTime - (connectTime || 0);
+                resolve(tlsSocket);
+            });
+            tlsSocket.once('timeout', () => {
+                tlsSocket.destroy();
+                reject(new Error(`connection to ${hostname}:${port} timed out`));
+            });
+            tlsSocket.once('error', reject);
+        });
+        
+        const cert = socket.getPeerCertificate(true);
+        const cipher = socket.getCipher();
+        const protocol = socket.getProtocol();
+        const authorized = socket.authorized;
+        const authorizationError = socket.authorizationError ? String(socket.authorizationError) : null;
+        socket.destroy();
+        
+        if (!cert || !cert.valid_to) {
+            throw new Error('server did not present a certificate');
+        }
+        
+        // Walk the issuer chain (the root certificate references itself)
+        const chain = [];
+        let current = cert;
+        while (current && current.subject && chain.length < 10) {
+            chain.push({
+                subject: formatDistinguishedName(current.subject),
+                issuer: formatDistinguishedName(current.issuer),
+                validFrom: new Date(current.valid_from),
+                validTo: new Date(current.valid_to),
+                fingerprint256: current.fingerprint256
+            });
+            if (!current.issuerCertificate || current.issuerCertificate === current) break;
+            current = current.issuerCertificate;
+        }
+        
+        const validFrom = new Date(cert.valid_from);
+        const validTo = new Date(cert.valid_to);
+        const daysRemaining = Math.floor((validTo.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+        const hostnameMatch = !tls.checkServerIdentity(hostname, cert);
+        
+        ssl = {
+            issuer: formatDistinguishedName(cert.issuer),
+            subject: formatDistinguishedName(cert.subject),
+            subjectAltNames: cert.subjectaltname
+                ? cert.subjectaltname.split(', ').map(name => name.replace(/^(DNS|IP Address):/, ''))
+                : [],
+            validFrom,
+            validTo,
+            daysRemaining,
+            protocol,
+            cipher: cipher ? cipher.name : null,
+            authorized,
+            authorizationError,
+            hostnameMatch,
+            chain
+        };
+        
+        // Certificate problems are reported as ssl incidents rather than plain downtime
+        if (validTo.getTime() < Date.now()) {
+            incidentType = 'ssl';
+            errorMessage = describeSslError('CERT_HAS_EXPIRED');
+        } else if (!hostnameMatch) {
+            incidentType = 'ssl';
+            errorMessage = `SSL certificate does not match hostname ${hostname}`;
+        } else if (!authorized) {
+            incidentType = 'ssl';
+            errorMessage = describeSslError(authorizationError);
+        } else {
+            success = true;
+            
+            if (daysRemaining <= warningDays) {
+                warnings.push({
+                    type: 'ssl',
+                    reason: `SSL certificate expires in ${daysRemaining} days (${validTo.toISOString()})`
+                });
+            }
+        }
+    } catch (error) {
+        errorMessage = `SSL error: ${error.message}`;
+    }
+    
+    return {
+        success,
+        responseTime: Date.now() - startTime,
+        timings: {
+            connect: connectTime,
+            tls: tlsTime
+        },
+        ssl,
+        incidentType,
+        warnings,
+        errorMessage,
+        location
+    };
+};
+
+module.exports = {
+    type: 'ssl',
+    label: 'SSL Certificate',
+    description: 'Inspect the TLS certificate chain and warn before it expires',
+    configSchema: z.object({
+        url: hostSchema,
+        port: portSchema,
+        ssl: z.object({
+            expiryWarningDays: z.number().int().min(0).optional().describe('Warn days before expiry')
+        }).optional().describe('SSL')
+    }),
+    resultFields: ['timings', 'ssl'],
+    execute: performSslCheck
+};
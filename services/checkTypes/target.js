@@ -0,0 +1,35 @@
+/**
+ * Connection target helpers shared by socket-level check types
+ */
+
+/**
+ * Resolve the host and port a socket-level check should connect to
+ * @param {Object} monitor Monitor object
+ * @param {number} defaultPort Port to use when neither the monitor nor the URL specify one
+ * @returns {Object} Hostname and port
+ */
+const getCheckTarget = (monitor, defaultPort) => {
+    let hostname = monitor.url;
+    let urlPort = null;
+    
+    // Accept full URLs (https://host:port, tcp://host:port) as well as bare host[:port]
+    try {
+        const url = new URL(monitor.url.includes('://') ? monitor.url : `tcp://${monitor.url}`);
+        hostname = url.hostname;
+        urlPort = url.port ? parseInt(url.port) : null;
+        
+        if (!urlPort && url.protocol === 'https:') urlPort = 443;
+        if (!urlPort && url.protocol === 'http:') urlPort = 80;
+    } catch (error) {
+        // Fall back to using the raw value as a hostname
+    }
+    
+    return {
+        hostname,
+        port: monitor.port || urlPort || defaultPort
+    };
+};
+
+module.exports = {
+    getCheckTarget
+};
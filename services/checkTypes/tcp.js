@@ -0,0 +1,112 @@
+const net = require('net');
+const { z } = require('zod');
+const { getCheckTarget } = require('./target');
+const { hostSchema, portSchema } = require('./schemas');
+
+// Received data kept on top of the expected response, so a chatty server can't grow memory
+const RECEIVE_MARGIN = 1024;
+
+/**
+ * Perform a TCP port check
+ * Opens a raw socket, measures the connect time and optionally
+ * sends a payload and waits for an expected banner/response.
+ * @param {Object} monitor Monitor object
+ * @param {string} location Check location
+ * @returns {Object} Check result
+ */
+const performTcpCheck = async (monitor, location) => {
+    const startTime = Date.now();
+    const { hostname, port } = getCheckTarget(monitor, 80);
+    const send = monitor.tcp && monitor.tcp.send;
+    const expect = monitor.tcp && monitor.tcp.expect;
+    
+    const result = await new Promise((resolve) => {
+        let connectTime = null;
+        let received = '';
+        let settled = false;
+        let deadline = null;
+        
+        const socket = net.createConnection({ host: hostname, port });
+        
+        const finish = (success, errorMessage) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(deadline);
+            socket.destroy();
+            resolve({ success, errorMessage, connectTime, received });
+        };
+        
+        // The idle timeout alone never fires while a server keeps sending data
+        socket.setTimeout(monitor.timeout);
+        deadline = setTimeout(() => {
+            finish(false, connectTime === null
+                ? `TCP error: connection to ${hostname}:${port} timed out`
+                : `TCP error: expected response "${expect}" not received within ${monitor.timeout}ms`);
+        }, monitor.timeout);
+        
+        socket.on('connect', () => {
+            connectTime = Date.now() - startTime;
+            
+            if (send) {
+                socket.write(send);
+            }
+            
+            // Nothing to wait for: a successful connect is enough
+            if (!expect) {
+                finish(true, null);
+            }
+        });
+        
+        socket.on('data', (chunk) => {
+            received += chunk.toString('utf8');
+            
+            if (expect && received.includes(expect)) {
+                finish(true, null);
+            } else if (received.length > (expect ? expect.length : 0) + RECEIVE_MARGIN) {
+                // Only the tail can still contain the start of the expected response
+                received = received.slice(-((expect ? expect.length : 0) + RECEIVE_MARGIN));
+            }
+        });
+        
+        socket.on('timeout', () => {
+            finish(false, connectTime === null
+                ? `TCP error: connection to ${hostname}:${port} timed out`
+                : `TCP error: expected response "${expect}" not received within ${monitor.timeout}ms`);
+        });
+        
+        socket.on('end', () => {
+            finish(false, `TCP error: connection closed before expected response "${expect}" was received`);
+        });
+        
+        socket.on('error', (error) => {
+            finish(false, `TCP error: ${error.message}`);
+        });
+    });
+    
+    return {
+        success: result.success,
+        responseTime: Date.now() - startTime,
+        timings: {
+            connect: result.connectTime
+        },
+        response: result.received ? result.received.slice(0, 1024) : null,
+        errorMessage: result.errorMessage,
+        location
+    };
+};
+
+module.exports = {
+    type: 'tcp',
+    label: 'TCP Port',
+    description: 'Open a TCP connection and optionally exchange a payload',
+    configSchema: z.object({
+        url: hostSchema,
+        port: portSchema,
+        tcp: z.object({
+            send: z.string().nullable().optional().describe('Payload to send'),
+            expect: z.string().nullable().optional().describe('Expected response')
+        }).optional().describe('TCP')
+    }),
+    resultFields: ['timings', 'response'],
+    execute: performTcpCheck
+};
@@ -0,0 +1,204 @@
+const { z } = require('zod');
+const { toRegExp, queryJsonPath } = require('../../utils/assertions');
+const { executeHttpRequest } = require('./httpRequest');
+const { urlWithProtocols, expectedStatusSchema, requestConfigSchema, assertionsSchema } = require('./schemas');
+
+/**
+ * Replace {{variable}} placeholders with values extracted by earlier steps
+ * @param {*} value String, Map or object containing placeholders
+ * @param {Object} variables Extracted variables
+ * @returns {*} Value with placeholders replaced
+ */
+const interpolateVariables = (value, variables) => {
+    if (typeof value === 'string') {
+        return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, name) =>
+            Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : placeholder
+        );
+    }
+    if (value instanceof Map) {
+        return interpolateVariables(Object.fromEntries(value), variables);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, entry]) => [key, interpolateVariables(entry, variables)])
+        );
+    }
+    return value;
+};
+
+/**
+ * Extract a variable from a step's response
+ * @param {Object} rule Extraction rule ({ variable, from, path })
+ * @param {Object} response Response headers and body
+ * @returns {string|null} Extracted value, or null when nothing matched
+ */
+const extractVariable = (rule, { headers, body }) => {
+    if (rule.from === 'header') {
+        const value = headers[rule.path.toLowerCase()];
+        return value === undefined ? null : String(value);
+    }
+    
+    if (rule.from === 'json') {
+        const matches = queryJsonPath(JSON.parse(body), rule.path);
+        if (matches.length === 0) return null;
+        return typeof matches[0] === 'object' ? JSON.stringify(matches[0]) : String(matches[0]);
+    }
+    
+    if (rule.from === 'regex') {
+        const match = body.match(toRegExp(rule.path));
+        return match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+    }
+    
+    throw new Error(`Unknown extraction source: ${rule.from}`);
+};
+
+/**
+ * Perform a multi-step API transaction check
+ * Steps run in order; values extracted from one step are available to later
+ * steps as {{variable}} placeholders. The transaction stops at the first failed step.
+ * @param {Object} monitor Monitor object
+ * @param {string} location Check location
+ * @returns {Object} Check result
+ */
+const performTransactionCheck = async (monitor, location) => {
+    const startTime = Date.now();
+    const variables = {};
+    const steps = [];
+    let failedStep = null;
+    let errorMessage = null;
+    let statusCode = 0;
+    
+    if (!monitor.steps || monitor.steps.length === 0) {
+        return {
+            success: false,
+            responseTime: 0,
+            steps,
+            failedStep,
+            errorMessage: 'Transaction has no steps',
+            location
+        };
+    }
+    
+    for (let index = 0; index < monitor.steps.length; index++) {
+        const step = monitor.steps[index];
+        const name = step.name || `Step ${index + 1}`;
+        
+        // Relative step URLs are resolved against the monitor URL
+        let url;
+        try {
+            url = new URL(interpolateVariables(step.url, variables), monitor.url).toString();
+        } catch (error) {
+            const stepError = `Invalid URL: ${step.url}`;
+            steps.push({
+                name,
+                method: (step.request && step.request.method) || 'GET',
+                url: step.url,
+                statusCode: 0,
+                success: false,
+                responseTime: 0,
+                assertions: [],
+                extracted: [],
+                errorMessage: stepError
+            });
+            failedStep = index;
+            errorMessage = `${name} failed: ${stepError}`;
+            break;
+        }
+        const request = step.request ? interpolateVariables({
+            method: step.request.method,
+            headers: step.request.headers,
+            body: step.request.body,
+            auth: step.request.auth ? {
+                scheme: step.request.auth.scheme,
+                username: step.request.auth.username,
+                password: step.request.auth.password,
+                token: step.request.auth.token
+            } : undefined
+        }, variables) : undefined;
+        
+        const result = await executeHttpRequest({
+            url,
+            request,
+            expectedStatusCode: step.expectedStatusCode || '200',
+            redirects: monitor.redirects,
+            assertions: step.assertions,
+            timeout: monitor.timeout
+        });
+        
+        let stepError = result.errorMessage;
+        const extracted = [];
+        
+        if (result.success) {
+            for (const rule of step.extract || []) {
+                try {
+                    const value = extractVariable(rule, result);
+                    if (value === null) {
+                        stepError = `Could not extract ${rule.variable} from ${rule.from} ${rule.path}`;
+                        break;
+                    }
+                    variables[rule.variable] = value;
+                    extracted.push(rule.variable);
+                } catch (error) {
+                    stepError = `Could not extract ${rule.variable}: ${error.message}`;
+                    break;
+                }
+            }
+        }
+        
+        statusCode = result.statusCode;
+        
+        // Store the URL template so extracted secrets never end up in check records
+        steps.push({
+            name,
+            method: (request && request.method) || 'GET',
+            url: step.url,
+            statusCode: result.statusCode,
+            success: !stepError,
+            responseTime: result.responseTime,
+            timings: result.timings,
+            assertions: result.assertions,
+            extracted,
+            errorMessage: stepError
+        });
+        
+        if (stepError) {
+            failedStep = index;
+            errorMessage = `${name} failed: ${stepError}`;
+            break;
+        }
+    }
+    
+    return {
+        success: failedStep === null,
+        statusCode,
+        responseTime: Date.now() - startTime,
+        steps,
+        failedStep,
+        assertions: steps[steps.length - 1].assertions,
+        errorMessage,
+        location
+    };
+};
+
+module.exports = {
+    type: 'transaction',
+    label: 'Transaction',
+    description: 'Run a sequence of HTTP requests, passing extracted values between steps',
+    configSchema: z.object({
+        url: urlWithProtocols(['http:', 'https:']).describe('Base URL'),
+        steps: z.array(z.object({
+            name: z.string().optional().describe('Step name'),
+            url: z.string().min(1).describe('URL'),
+            request: requestConfigSchema,
+            expectedStatusCode: expectedStatusSchema,
+            assertions: assertionsSchema,
+            extract: z.array(z.object({
+                variable: z.string().min(1).describe('Variable'),
+                from: z.enum(['header', 'json', 'regex']).describe('Extract from'),
+                path: z.string().min(1).describe('Header name, JSONPath or regex')
+            })).optional().describe('Extracted variables')
+        })).min(1, { message: 'A transaction needs at least one step' }).describe('Steps')
+    }),
+    resultFields: ['timings', 'assertions', 'steps', 'failedStep'],
+    execute: performTransactionCheck
+};
@@ -0,0 +1,121 @@
+const WebSocket = require('ws');
+const { z } = require('zod');
+const { isPattern, toRegExp } = require('../../utils/assertions');
+const { buildRequestOptions } = require('../../utils/requestConfig');
+const { urlWithProtocols, requestConfigSchema } = require('./schemas');
+
+/**
+ * Perform a WebSocket check
+ * Opens the connection, optionally sends a message and waits for a reply matching the expected pattern.
+ * @param {Object} monitor Monitor object
+ * @param {string} location Check location
+ * @returns {Object} Check result
+ */
+const performWebSocketCheck = async (monitor, location) => {
+    const startTime = Date.now();
+    const settings = monitor.websocket || {};
+    const send = settings.send;
+    const expect = settings.expect;
+    const { headers, auth } = buildRequestOptions(monitor.request);
+    const matches = (message) => (isPattern(expect) ? toRegExp(expect).test(message) : message.includes(expect));
+    
+    const result = await new Promise((resolve) => {
+        let handshake = null;
+        let sentAt = null;
+        let roundTrip = null;
+        let reply = null;
+        let settled = false;
+        let socket;
+        
+        const finish = (success, errorMessage) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (socket) socket.terminate();
+            resolve({ success, errorMessage, handshake, roundTrip, reply, protocol: socket ? socket.protocol || null : null });
+        };
+        
+        const timer = setTimeout(() => {
+            finish(false, handshake === null
+                ? `WebSocket error: handshake with ${monitor.url} timed out`
+                : `WebSocket error: expected reply "${expect}" not received within ${monitor.timeout}ms`);
+        }, monitor.timeout);
+        
+        try {
+            socket = new WebSocket(monitor.url, settings.protocols && settings.protocols.length > 0 ? [...settings.protocols] : undefined, {
+                headers,
+                auth: auth ? `${auth.username}:${auth.password}` : undefined,
+                handshakeTimeout: monitor.timeout
+            });
+        } catch (error) {
+            finish(false, `WebSocket error: ${error.message}`);
+            return;
+        }
+        
+        socket.on('open', () => {
+            handshake = Date.now() - startTime;
+            
+            if (send) {
+                sentAt = Date.now();
+                socket.send(send);
+            }
+            
+            // Nothing to wait for: a completed handshake is enough
+            if (!expect) {
+                finish(true, null);
+            }
+        });
+        
+        socket.on('message', (data) => {
+            const message = data.toString('utf8');
+            
+            if (matches(message)) {
+                roundTrip = Date.now() - (sentAt || startTime + handshake);
+                reply = message;
+                finish(true, null);
+            }
+        });
+        
+        socket.on('unexpected-response', (request, response) => {
+            finish(false, `WebSocket error: handshake rejected with status ${response.statusCode}`);
+        });
+        
+        socket.on('close', (code) => {
+            finish(false, `WebSocket error: connection closed (code ${code}) before expected reply "${expect}" was received`);
+        });
+        
+        socket.on('error', (error) => {
+            finish(false, `WebSocket error: ${error.message}`);
+        });
+    });
+    
+    return {
+        success: result.success,
+        responseTime: Date.now() - startTime,
+        websocket: {
+            handshake: result.handshake,
+            roundTrip: result.roundTrip,
+            protocol: result.protocol
+        },
+        response: result.reply ? result.reply.slice(0, 1024) : null,
+        errorMessage: result.errorMessage,
+        location
+    };
+};
+
+module.exports = {
+    type: 'websocket',
+    label: 'WebSocket',
+    description: 'Open a WebSocket connection and optionally wait for a reply to a message',
+    configSchema: z.object({
+        url: urlWithProtocols(['ws:', 'wss:']),
+        request: requestConfigSchema,
+        websocket: z.object({
+            send: z.string().nullable().optional().describe('Message to send'),
+            expect: z.string().nullable().optional().describe('Expected reply (text or /regex/)'),
+            protocols: z.array(z.string()).optional().describe('Subprotocols')
+        }).optional().describe('WebSocket')
+    }),
+    resultFields: ['websocket', 'response'],
+    execute: performWebSocketCheck
+};
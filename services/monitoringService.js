@@ -1,6 +1,4 @@
-const axios = require('axios');
-const dns = require('dns').promises;
-const https = require('https');
+const mongoose = require('mongoose');
 const { Monitor } = require('../Database/module.monitor');
 const { MonitorCheck } = require('../Database/module.monitorCheck');
 const { Incident } = require('../Database/module.incident');
@@ -8,14 +6,54 @@ const { Payment } = require('../Database/module.payment');
 const { UserWallet } = require('../Database/module.userWallet');
 const { ContributorWallet } = require('../Database/module.contibutorWallet');
 const { Website } = require('../Database/module.websites');
+const { Maintenance } = require('../Database/module.maintenance');
+const { User } = require('../Database/module.user');
+const { Probe } = require('../Database/module.probe');
+const { Assignment } = require('../Database/module.assignment');
 const emailService = require('../utils/emailService');
+const { averageTimings } = require('../utils/requestTimings');
+const { diffContent } = require('../utils/contentChange');
+const { getOccurrenceAt } = require('../utils/maintenanceWindow');
+const { isWithinActiveHours, getNextActiveStart } = require('../utils/activeHours');
+const { verifyResult } = require('../utils/probeSignature');
+const { crossValidate, updateReputation } = require('../utils/crossValidation');
+const { getCheckType, performCheck, getResultFields, listCheckTypes } = require('./checkTypes');
+const { SchedulerService, computeNextRunAt } = require('./schedulerService');
 
 // Amount paid to users per check in cents/paise
 const PAYMENT_PER_CHECK = 5; // 5 cents per check
 
+// Status changes kept per monitor for flapping detection
+const MAX_STATUS_CHANGES = 50;
+
+// Assignments a prober holds at once, and time it has to return a result on top of the monitor timeout
+const MAX_ASSIGNMENTS = parseInt(process.env.ASSIGNMENT_MAX_CONCURRENT) || 10;
+const ASSIGNMENT_LEASE = parseInt(process.env.ASSIGNMENT_LEASE_MS) || 60 * 1000;
+
+// Allowed clock difference for signed probe results, and how long a rotated key stays valid
+const PROBE_CLOCK_SKEW = 5 * 60 * 1000;
+const PROBE_KEY_ROTATION_GRACE = parseInt(process.env.PROBE_KEY_ROTATION_GRACE_MS) || 10 * 60 * 1000;
+
+// Probe results are compared with checks this close in time (at least half the monitor's interval),
+// and settled this long after the window closed when nothing confirmed them
+const VALIDATION_WINDOW = 5 * 60 * 1000;
+const VALIDATION_GRACE = parseInt(process.env.VALIDATION_GRACE_MS) || 5 * 60 * 1000;
+
+// Reputation a probe needs to be paid for results no other check could confirm
+const TRUSTED_REPUTATION = 70;
+
+// Checks the status and performance are computed from: server-side checks and confirmed probe results
+const TRUSTED_CHECKS = { 'validation.status': { $in: ['none', 'agreed'] } };
+
+// Locations checked for monitors that don't configure any
+const DEFAULT_LOCATIONS = ['us-east'];
+
 // Reference to WebSocket Service (will be set during initialization)
 let websocketService = null;
 
+// Scheduler running the periodic checks (started by scheduleMonitorChecks)
+let scheduler = null;
+
 /**
  * Set the WebSocket service instance for real-time updates
  * @param {Object} wsService - WebSocket service instance
@@ -26,211 +64,78 @@ function setWebSocketService(wsService) {
 }
 
 /**
- * Perform an HTTP/HTTPS check
- * @param {Object} monitor Monitor object
- * @param {string} location Check location
- * @returns {Object} Check result
+ * Record a ping sent to a heartbeat monitor's ping URL
+ * @param {string} token Heartbeat token from the ping URL
+ * @param {string} kind Ping kind ('ping', 'start' or 'fail')
+ * @param {Object} payload Optional ping details
+ * @param {number} payload.duration Job run time in milliseconds
+ * @param {number} payload.exitStatus Exit status of the job
+ * @param {string} payload.message Free-form message (e.g. last lines of output)
+ * @returns {Object} Stored check record
  */
-const performHttpCheck = async (monitor, location) => {
-    const startTime = Date.now();
-    let success = false;
-    let statusCode = 0;
-    let responseTime = 0;
-    let errorMessage = null;
-    
-    try {
-        const response = await axios.get(monitor.url, {
-            timeout: monitor.timeout,
-            httpsAgent: new https.Agent({ 
-                rejectUnauthorized: true
-            }),
-            validateStatus: () => true // Accept any status code to check
-        });
-        
-        responseTime = Date.now() - startTime;
-        statusCode = response.status;
-        
-        // Check if status code matches expected
-        success = statusCode === monitor.expectedStatusCode;
-        
-        if (!success) {
-            errorMessage = `Expected status code ${monitor.expectedStatusCode}, got ${statusCode}`;
-        }
-    } catch (error) {
-        responseTime = Date.now() - startTime;
-        errorMessage = error.message;
-        
-        if (error.response) {
-            statusCode = error.response.status;
-            errorMessage = `HTTP error: ${statusCode} ${error.response.statusText}`;
-        } else if (error.request) {
-            errorMessage = `No response: ${error.message}`;
-        } else {
-            errorMessage = `Request error: ${error.message}`;
-        }
+const recordHeartbeat = async (token, kind, payload = {}) => {
+    const monitor = await Monitor.findOne({ type: 'heartbeat', 'heartbeat.token': token });
+    if (!monitor) {
+        throw new Error('Monitor not found');
     }
     
-    return {
-        success,
-        statusCode,
-        responseTime,
-        errorMessage,
-        location
-    };
-};
-
-/**
- * Perform a DNS check
- * @param {Object} monitor Monitor object
- * @param {string} location Check location
- * @returns {Object} Check result
- */
-const performDnsCheck = async (monitor, location) => {
-    const startTime = Date.now();
-    let success = false;
-    let responseTime = 0;
-    let errorMessage = null;
-    
-    try {
-        // Extract hostname from URL
-        const url = new URL(monitor.url);
-        const hostname = url.hostname;
-        
-        await dns.resolve(hostname);
-        
-        responseTime = Date.now() - startTime;
-        success = true;
-    } catch (error) {
-        responseTime = Date.now() - startTime;
-        errorMessage = `DNS error: ${error.message}`;
+    if (!monitor.active) {
+        throw new Error('Monitor is paused');
     }
     
-    return {
-        success,
-        responseTime,
-        errorMessage,
-        location
-    };
-};
-
-/**
- * Perform an SSL certificate check
- * @param {Object} monitor Monitor object
- * @param {string} location Check location
- * @returns {Object} Check result
- */
-const performSslCheck = async (monitor, location) => {
-    const startTime = Date.now();
-    let success = false;
-    let responseTime = 0;
-    let errorMessage = null;
+    const now = new Date();
+    const exitStatus = payload.exitStatus !== undefined ? parseInt(payload.exitStatus) : undefined;
+    let duration = payload.duration !== undefined ? parseInt(payload.duration) : undefined;
     
-    try {
-        // Use axios to check SSL (will fail if SSL is invalid)
-        const url = new URL(monitor.url);
-        
-        // Ensure URL uses HTTPS
-        const httpsUrl = `https://${url.hostname}`;
-        
-        await axios.get(httpsUrl, {
-            timeout: monitor.timeout,
-            httpsAgent: new https.Agent({ 
-                rejectUnauthorized: true
-            })
-        });
-        
-        responseTime = Date.now() - startTime;
-        success = true;
-    } catch (error) {
-        responseTime = Date.now() - startTime;
-        
-        if (error.code === 'CERT_HAS_EXPIRED') {
-            errorMessage = 'SSL certificate has expired';
-        } else if (error.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE') {
-            errorMessage = 'Unable to verify SSL certificate';
-        } else if (error.code === 'CERT_SIGNATURE_FAILURE') {
-            errorMessage = 'SSL certificate signature is invalid';
-        } else {
-            errorMessage = `SSL error: ${error.message}`;
-        }
+    // Derive the run time from a preceding /start ping when the job didn't report it
+    if (duration === undefined && kind !== 'start' && monitor.heartbeat.lastStartAt) {
+        duration = now - monitor.heartbeat.lastStartAt;
     }
     
-    return {
-        success,
-        responseTime,
-        errorMessage,
-        location
+    const heartbeat = {
+        kind,
+        exitStatus: Number.isNaN(exitStatus) ? undefined : exitStatus,
+        duration: Number.isNaN(duration) ? undefined : duration,
+        message: payload.message ? String(payload.message).slice(0, 1000) : undefined
     };
-};
-
-/**
- * Perform a TCP port check
- * @param {Object} monitor Monitor object
- * @param {string} location Check location
- * @returns {Object} Check result
- */
-const performTcpCheck = async (monitor, location) => {
-    const startTime = Date.now();
-    let success = false;
-    let responseTime = 0;
-    let errorMessage = null;
     
-    try {
-        // Use axios to check TCP connection
-        const url = new URL(monitor.url);
-        const port = url.port || (url.protocol === 'https:' ? 443 : 80);
+    // A start ping only marks the job as running and doesn't change the monitor status
+    if (kind === 'start') {
+        await Monitor.updateOne({ _id: monitor._id }, { $set: { 'heartbeat.lastStartAt': now } });
         
-        await axios.get(`${url.protocol}//${url.hostname}:${port}`, {
-            timeout: monitor.timeout
+        const monitorCheck = new MonitorCheck({
+            monitor: monitor._id,
+            website: monitor.website,
+            success: true,
+            responseTime: 0,
+            heartbeat,
+            location: 'heartbeat',
+            timestamp: now,
+            performedBy: '000000000000000000000000',
+            paymentProcessed: true
         });
-        
-        responseTime = Date.now() - startTime;
-        success = true;
-    } catch (error) {
-        responseTime = Date.now() - startTime;
-        errorMessage = `TCP error: ${error.message}`;
+        await monitorCheck.save();
+        return monitorCheck;
     }
     
-    return {
-        success,
-        responseTime,
-        errorMessage,
-        location
-    };
-};
-
-/**
- * Perform a ping check (simulated with HTTP request)
- * @param {Object} monitor Monitor object
- * @param {string} location Check location
- * @returns {Object} Check result
- */
-const performPingCheck = async (monitor, location) => {
-    // In production, you might want to use a real ping tool
-    // Here we simulate with a quick HTTP HEAD request
-    const startTime = Date.now();
-    let success = false;
-    let responseTime = 0;
-    let errorMessage = null;
+    const failed = kind === 'fail' || (heartbeat.exitStatus !== undefined && heartbeat.exitStatus !== 0);
     
-    try {
-        await axios.head(monitor.url, {
-            timeout: monitor.timeout
-        });
-        
-        responseTime = Date.now() - startTime;
-        success = true;
-    } catch (error) {
-        responseTime = Date.now() - startTime;
-        errorMessage = `Ping error: ${error.message}`;
-    }
+    await Monitor.updateOne(
+        { _id: monitor._id },
+        { $set: { 'heartbeat.lastPingAt': now, 'heartbeat.lastStartAt': null } }
+    );
+    monitor.heartbeat.lastPingAt = now;
+    monitor.heartbeat.lastStartAt = null;
     
-    return {
-        success,
-        responseTime,
-        errorMessage,
-        location
-    };
+    return processCheckResult(monitor, {
+        success: !failed,
+        responseTime: heartbeat.duration || 0,
+        heartbeat,
+        errorMessage: failed
+            ? `Job reported failure${heartbeat.exitStatus !== undefined ? ` (exit status ${heartbeat.exitStatus})` : ''}`
+            : null,
+        location: 'heartbeat'
+    }, null, { location: 'heartbeat', scheduled: true });
 };
 
 /**
@@ -243,6 +148,16 @@ const performPingCheck = async (monitor, location) => {
  */
 const processCheckResult = async (monitor, checkResult, userId = null, locationInfo = {}) => {
     try {
+        // Rounds look the window up once for all their checks
+        const maintenance = locationInfo.maintenance !== undefined
+            ? locationInfo.maintenance
+            : await findActiveMaintenance(monitor);
+        
+        // A failure while a parent monitor is down belongs to the parent's outage
+        const dependency = checkResult.success ? null : (locationInfo.dependency !== undefined
+            ? locationInfo.dependency
+            : await findDownDependency(monitor));
+        
         // Create a new check record
         const monitorCheck = new MonitorCheck({
             monitor: monitor._id,
@@ -250,54 +165,188 @@ const processCheckResult = async (monitor, checkResult, userId = null, locationI
             success: checkResult.success,
             statusCode: checkResult.statusCode,
             responseTime: checkResult.responseTime,
-            errorMessage: checkResult.error || null,
+            ...getResultFields(monitor.type, checkResult),
+            errorMessage: checkResult.errorMessage || checkResult.error || null,
             message: checkResult.message || (checkResult.success ? 'Check completed successfully' : 'Check failed'),
             location: locationInfo.location || 'system',
             region: locationInfo.region || 'unknown',
+            city: locationInfo.city || null,
+            country: locationInfo.country || null,
+            probe: locationInfo.probe || null,
+            signingKey: locationInfo.signingKey || null,
+            signature: locationInfo.signature || null,
+            validation: { status: locationInfo.probe ? 'pending' : 'none' },
+            paymentStatus: locationInfo.probe ? 'held' : 'none',
+            attempt: locationInfo.attempt || 0,
+            confirms: locationInfo.confirms || null,
+            inMaintenance: Boolean(maintenance),
+            maintenance: maintenance ? maintenance._id : null,
+            dependentFailure: Boolean(dependency),
+            parentIncident: dependency && dependency.incident ? dependency.incident._id : null,
             timestamp: new Date(),
             performedBy: userId || '000000000000000000000000' // System user ID when null
         });
         
         await monitorCheck.save();
         
-        // Get the previous check to compare status
+        if (locationInfo.probe) {
+            // Probe results only count once cross-validation confirmed them (see validateProbeCheck)
+        } else if (maintenance) {
+            // Checks during maintenance are only stored; content changed by a deploy becomes the new baseline
+            await processContentChange(monitor, monitorCheck, checkResult, { ...locationInfo, maintenance });
+        } else if (dependency) {
+            // Dependent failures don't count towards the status, open incidents or alert
+            if (dependency.incident) {
+                await Incident.updateOne(
+                    { _id: dependency.incident._id },
+                    { $addToSet: { dependents: monitor._id } }
+                );
+            }
+        } else {
+            // Checks of a scheduled round change the status together (see runConfirmedRound)
+            if (!locationInfo.round) {
+                await processStatusChange(monitor, [{ monitorCheck, checkResult }], !checkResult.success, locationInfo);
+            }
+            
+            // Open or resolve warning incidents (e.g. certificate about to expire)
+            await processCheckWarnings(monitor, monitorCheck, checkResult, locationInfo);
+            await processContentChange(monitor, monitorCheck, checkResult, locationInfo);
+            await processPerformance(monitor, monitorCheck, checkResult, locationInfo);
+        }
+        
+        // Process payment for user if check was performed by a user; probe results are
+        // paid once other checks confirm them, admin checks aren't paid
+        if (userId && userId !== '000000000000000000000000' && !locationInfo.scheduled && !locationInfo.probe && !locationInfo.isAdmin) {
+            await processPaymentForCheck(monitorCheck);
+        }
+        
+        // Any new check may be the reference held probe results were waiting for
+        await validateHeldChecks(monitor, monitorCheck);
+        
+        return monitorCheck;
+    } catch (error) {
+        console.warn('Error processing check result:', error);
+        throw error;
+    }
+};
+
+/**
+ * Count a check or round result towards the monitor's status and open or resolve its outage incident
+ * @param {Object} monitor Monitor object
+ * @param {Array} results Stored checks with their results as [{ monitorCheck, checkResult }]
+ * @param {boolean} isDown True if the result counts as a failure
+ * @param {Object} locationInfo Additional location information
+ */
+const processStatusChange = async (monitor, results, isDown, locationInfo = {}) => {
+    if (results.length === 0) return;
+    
+    const status = isDown ? 'down' : 'up';
+    const lastChecked = new Date();
+    
+    // Count consecutive results atomically, instances may report concurrently
+    const counters = await Monitor.findOneAndUpdate(
+        { _id: monitor._id },
+        isDown
+            ? { $inc: { consecutiveFailures: 1 }, $set: { consecutiveSuccesses: 0, lastChecked } }
+            : { $inc: { consecutiveSuccesses: 1 }, $set: { consecutiveFailures: 0, lastChecked } },
+        { new: true, projection: { status: 1, consecutiveFailures: 1, consecutiveSuccesses: 1, flapping: 1 } }
+    );
+    
+    // Monitor was deleted while the check ran
+    if (!counters) return;
+    
+    // A flapping monitor keeps its up/down status aside until it is stable again
+    const flapping = counters.status === 'flapping';
+    const currentStatus = flapping ? counters.flapping.lastState : counters.status;
+    
+    monitor.lastChecked = lastChecked;
+    monitor.consecutiveFailures = counters.consecutiveFailures;
+    monitor.consecutiveSuccesses = counters.consecutiveSuccesses;
+    
+    // Failures must repeat alertThreshold times before the monitor is down,
+    // and a down monitor needs recoveryThreshold successes to be up again
+    const streak = isDown ? counters.consecutiveFailures : counters.consecutiveSuccesses;
+    const required = isDown
+        ? monitor.alertThreshold
+        : (currentStatus === 'down' ? monitor.confirmation.recoveryThreshold : 1);
+    
+    // Swap the stored status atomically: only the check that changes it handles the
+    // transition, so concurrent server instances alert once
+    let previous = null;
+    if (flapping) {
+        if (!await processFlapping(monitor, counters, status, streak >= required, results, locationInfo)) return;
+        
+        // Stable again: a monitor that settled down opens a regular outage below
+        previous = { status: 'flapping' };
+    } else if (streak >= required) {
+        previous = await Monitor.findOneAndUpdate(
+            { _id: monitor._id, status: { $nin: [status, 'flapping'] } },
+            { $set: { status } },
+            { new: false, projection: { status: 1 } }
+        );
+        monitor.status = status;
+    } else {
+        monitor.status = counters.status;
+    }
+    
+    let wasDown = previous ? previous.status === 'down' : isDown;
+    if (previous && (!previous.status || previous.status === 'unknown')) {
+        // Fall back to the previous check for monitors that had no status yet
         const previousCheck = await MonitorCheck.findOne({ 
             monitor: monitor._id,
-            _id: { $ne: monitorCheck._id } // Exclude the current check
+            ...TRUSTED_CHECKS,
+            _id: { $nin: results.map(result => result.monitorCheck._id) } // Exclude the current checks
         }).sort({ createdAt: -1 });
         
-        // Determine if an incident should be created or resolved
-        const wasDown = previousCheck ? !previousCheck.success : false;
-        const isDown = !checkResult.success;
+        wasDown = previousCheck ? !previousCheck.success : false;
+    }
+    
+    const failing = results.filter(result => !result.checkResult.success);
+    const affectedLocations = [...new Set(failing.map(result => result.monitorCheck.location))];
+    
+    // The first failing check represents a failed round, the first successful one a recovery
+    const { monitorCheck, checkResult } = (isDown ? failing[0] : results.find(result => result.checkResult.success)) || results[0];
+    const reason = results.length > 1 && isDown
+        ? `${checkResult.errorMessage} (failing from ${affectedLocations.join(', ')}: ${failing.length} of ${results.length} locations)`
+        : checkResult.errorMessage;
+    
+    // Frequent status changes turn into a single flapping incident instead of one per change
+    if (previous && ['up', 'down'].includes(previous.status)) {
+        const changes = await recordStatusChange(monitor, status);
+        if (changes) {
+            await startFlapping(monitor, changes, monitorCheck, checkResult, locationInfo);
+            return;
+        }
+    }
+    
+    // If monitor was up and now is down, create an incident
+    if (!wasDown && isDown) {
+        // Create a new incident
+        const incident = await openIncident({
+            monitor: monitor._id,
+            website: monitor.website,
+            type: checkResult.incidentType || 'downtime',
+            severity: 'critical',
+            openKey: 'outage',
+            startCheck: monitorCheck._id,
+            checks: await getStreakChecks(monitor, streak * results.length),
+            startTime: new Date(),
+            reason,
+            location: checkResult.location,
+            locations: affectedLocations
+        });
         
-        // If monitor was up and now is down, create an incident
-        if (!wasDown && isDown) {
-            // Create a new incident
-            const incident = new Incident({
-                monitor: monitor._id,
-                website: monitor.website,
-                startCheck: monitorCheck._id,
-                startTime: new Date(),
-                reason: checkResult.errorMessage,
-                location: checkResult.location,
-                locationInfo: locationInfo
-            });
-            
-            await incident.save();
+        if (incident) {
             monitorCheck.incidentCreated = true;
             await monitorCheck.save();
             
-            // Update monitor status
-            monitor.status = 'down';
-            monitor.lastChecked = new Date();
-            await monitor.save();
-            
             // Send alert for new incident
             await sendMonitorStatusAlert(
                 monitor, 
                 'down', 
-                checkResult.errorMessage, 
-                { location: checkResult.location, ...locationInfo }
+                reason, 
+                { location: checkResult.location, ...locationInfo },
+                getFailedAssertionMessages(checkResult)
             );
             
             // Emit WebSocket event if websocketService is available
@@ -307,65 +356,591 @@ const processCheckResult = async (monitor, checkResult, userId = null, locationI
                     websiteId: monitor.website,
                     status: 'down',
                     responseTime: checkResult.responseTime,
-                    reason: checkResult.errorMessage,
+                    reason,
                     timestamp: new Date(),
-                    location: checkResult.location
+                    location: checkResult.location,
+                    locations: affectedLocations
                 });
             }
         }
-        // If monitor was down and now is up, resolve the incident
-        else if (wasDown && !isDown) {
-            // Find and resolve the open incident
-            const openIncident = await Incident.findOne({
-                monitor: monitor._id,
-                resolvedAt: null
-            });
+    }
+    // If monitor was down and now is up, resolve the incident
+    else if (wasDown && !isDown) {
+        // Find and resolve the open incident
+        const openOutage = await Incident.findOne({
+            monitor: monitor._id,
+            type: { $ne: 'performance' },
+            severity: 'critical',
+            resolvedAt: null
+        });
+        
+        if (openOutage && await resolveIncident(openOutage, monitorCheck, await getStreakChecks(monitor, streak * results.length))) {
+            // Send alert for resolved incident
+            await sendMonitorStatusAlert(
+                monitor, 
+                'up', 
+                'Monitor is back online', 
+                { location: checkResult.location, ...locationInfo }
+            );
             
-            if (openIncident) {
-                openIncident.endCheck = monitorCheck._id;
-                openIncident.resolvedAt = new Date();
-                openIncident.duration = openIncident.resolvedAt - openIncident.startTime;
-                await openIncident.save();
-                
-                // Update monitor status
-                monitor.status = 'up';
-                monitor.lastChecked = new Date();
-                await monitor.save();
-                
-                // Send alert for resolved incident
-                await sendMonitorStatusAlert(
-                    monitor, 
-                    'up', 
-                    'Monitor is back online', 
-                    { location: checkResult.location, ...locationInfo }
-                );
-                
-                // Emit WebSocket event if websocketService is available
-                if (websocketService) {
-                    websocketService.emitToWebsite(monitor.website, 'monitor:update', {
-                        monitorId: monitor._id,
-                        websiteId: monitor.website,
-                        status: 'up',
-                        responseTime: checkResult.responseTime,
-                        timestamp: new Date(),
-                        location: checkResult.location
-                    });
-                }
+            // Emit WebSocket event if websocketService is available
+            if (websocketService) {
+                websocketService.emitToWebsite(monitor.website, 'monitor:update', {
+                    monitorId: monitor._id,
+                    websiteId: monitor.website,
+                    status: 'up',
+                    responseTime: checkResult.responseTime,
+                    timestamp: new Date(),
+                    location: checkResult.location
+                });
             }
         }
+    }
+    // Regions that start failing during an ongoing outage are added to it
+    else if (isDown && monitor.status === 'down') {
+        await Incident.updateOne(
+            { monitor: monitor._id, openKey: 'outage' },
+            { $addToSet: { locations: { $each: affectedLocations } } }
+        );
+    }
+};
+
+/**
+ * Find the maintenance window a monitor is in
+ * Windows cover a single monitor or every monitor of a website.
+ * @param {Object} monitor Monitor object
+ * @param {Date} date Date to evaluate
+ * @returns {Object|null} Active maintenance window
+ */
+const findActiveMaintenance = async (monitor, date = new Date()) => {
+    const windows = await Maintenance.find({
+        active: true,
+        $or: [{ monitor: monitor._id }, { website: monitor.website._id }]
+    });
+    
+    return windows.find(window => {
+        try {
+            return getOccurrenceAt(window, date) !== null;
+        } catch (error) {
+            console.error(`Error evaluating maintenance window ${window._id}:`, error);
+            return false;
+        }
+    }) || null;
+};
+
+/**
+ * Record a status change and put the monitor in the flapping state when it changes too often
+ * @param {Object} monitor Monitor object
+ * @param {string} status New status ('up' or 'down')
+ * @returns {number} Status changes within the window if the monitor started flapping, otherwise 0
+ */
+const recordStatusChange = async (monitor, status) => {
+    const settings = monitor.flapping;
+    if (!settings.enabled) return 0;
+    
+    const now = new Date();
+    const updated = await Monitor.findOneAndUpdate(
+        { _id: monitor._id },
+        { $push: { 'flapping.changes': { $each: [now], $slice: -MAX_STATUS_CHANGES } } },
+        { new: true, projection: { 'flapping.changes': 1 } }
+    );
+    if (!updated) return 0;
+    
+    const windowStart = now.getTime() - settings.window * 60 * 1000;
+    const changes = updated.flapping.changes.filter(date => date.getTime() >= windowStart).length;
+    if (changes < settings.threshold) return 0;
+    
+    // Only one instance moves the monitor into the flapping state
+    const result = await Monitor.updateOne(
+        { _id: monitor._id, status },
+        { $set: { status: 'flapping', 'flapping.since': now, 'flapping.lastState': status } }
+    );
+    if (result.modifiedCount === 0) return 0;
+    
+    monitor.status = 'flapping';
+    monitor.flapping.since = now;
+    monitor.flapping.lastState = status;
+    return changes;
+};
+
+/**
+ * Replace the outage of a monitor that started flapping with a single flapping incident
+ * @param {Object} monitor Monitor object
+ * @param {number} changes Status changes within the window
+ * @param {Object} monitorCheck Check that started the flapping
+ * @param {Object} checkResult Check result
+ * @param {Object} locationInfo Location information
+ */
+const startFlapping = async (monitor, changes, monitorCheck, checkResult, locationInfo = {}) => {
+    const openOutage = await Incident.findOne({
+        monitor: monitor._id,
+        type: { $ne: 'performance' },
+        severity: 'critical',
+        resolvedAt: null
+    });
+    if (openOutage) {
+        await resolveIncident(openOutage, monitorCheck);
+    }
+    
+    const reason = `Status changed ${changes} times in the last ${monitor.flapping.window} minutes`;
+    const incident = await openIncident({
+        monitor: monitor._id,
+        website: monitor.website,
+        type: 'flapping',
+        severity: 'warning',
+        openKey: 'flapping',
+        startCheck: monitorCheck._id,
+        startTime: new Date(),
+        reason,
+        location: checkResult.location || 'system'
+    });
+    if (!incident) return;
+    
+    await sendMonitorStatusAlert(monitor, 'flapping', reason, { location: checkResult.location, ...locationInfo });
+    
+    if (websocketService) {
+        websocketService.emitToWebsite(monitor.website, 'monitor:update', {
+            monitorId: monitor._id,
+            websiteId: monitor.website,
+            status: 'flapping',
+            state: monitor.flapping.lastState,
+            reason,
+            timestamp: new Date(),
+            location: checkResult.location
+        });
+    }
+};
+
+/**
+ * Track the up/down status of a flapping monitor without alerting, and end the flapping
+ * state once the status held for the stable period
+ * @param {Object} monitor Monitor object
+ * @param {Object} counters Stored status, counters and flapping state
+ * @param {string} status Status of this result ('up' or 'down')
+ * @param {boolean} confirmed True if the result reached its confirmation threshold
+ * @param {Array} results Checks of the round as [{ monitorCheck, checkResult }]
+ * @param {Object} locationInfo Location information
+ * @returns {boolean} True if the monitor stopped flapping
+ */
+const processFlapping = async (monitor, counters, status, confirmed, results, locationInfo = {}) => {
+    const { changes, since, lastState } = counters.flapping;
+    const { monitorCheck, checkResult } = results[0];
+    const now = new Date();
+    
+    monitor.status = 'flapping';
+    if (!confirmed) return false;
+    
+    if (status !== lastState) {
+        await Monitor.updateOne(
+            { _id: monitor._id, status: 'flapping' },
+            {
+                $set: { 'flapping.lastState': status },
+                $push: { 'flapping.changes': { $each: [now], $slice: -MAX_STATUS_CHANGES } }
+            }
+        );
         
-        // Process payment for user if check was performed by a user
-        if (userId && userId !== '000000000000000000000000' && !locationInfo.scheduled) {
-            await processPaymentForCheck(monitorCheck);
+        if (websocketService) {
+            websocketService.emitToWebsite(monitor.website, 'monitor:update', {
+                monitorId: monitor._id,
+                websiteId: monitor.website,
+                status: 'flapping',
+                state: status,
+                responseTime: checkResult.responseTime,
+                timestamp: now,
+                location: checkResult.location
+            });
         }
+        return false;
+    }
+    
+    const lastChange = Math.max(since ? since.getTime() : 0, ...changes.map(date => date.getTime()));
+    if (now.getTime() - lastChange < monitor.flapping.stablePeriod * 60 * 1000) return false;
+    
+    // Only one instance ends the flapping state; detection starts over from here
+    const result = await Monitor.updateOne(
+        { _id: monitor._id, status: 'flapping' },
+        { $set: { status, 'flapping.since': null, 'flapping.lastState': null, 'flapping.changes': [] } }
+    );
+    if (result.modifiedCount === 0) return false;
+    
+    monitor.status = status;
+    
+    const incident = await Incident.findOne({ monitor: monitor._id, openKey: 'flapping' });
+    if (incident) {
+        await resolveIncident(incident, monitorCheck);
+    }
+    
+    if (status === 'up') {
+        await sendMonitorStatusAlert(
+            monitor,
+            'recovered',
+            `Monitor stopped flapping and has been up for ${monitor.flapping.stablePeriod} minutes`,
+            { location: checkResult.location, ...locationInfo }
+        );
         
-        return monitorCheck;
+        if (websocketService) {
+            websocketService.emitToWebsite(monitor.website, 'monitor:update', {
+                monitorId: monitor._id,
+                websiteId: monitor.website,
+                status: 'up',
+                responseTime: checkResult.responseTime,
+                timestamp: now,
+                location: checkResult.location
+            });
+        }
+    }
+    
+    return true;
+};
+
+/**
+ * Walk the parents of a monitor breadth-first
+ * @param {Array} parentIds Parent monitor IDs to start from
+ * @param {Function} visit Called with each parent; returning true stops the walk
+ * @returns {Object|null} Parent the walk stopped at
+ */
+const walkDependencies = async (parentIds, visit) => {
+    const visited = new Set();
+    let frontier = parentIds.map(String);
+    
+    while (frontier.length > 0) {
+        frontier.forEach(id => visited.add(id));
+        
+        const parents = await Monitor.find({ _id: { $in: frontier } }).select('name status dependsOn');
+        const match = parents.find(visit);
+        if (match) return match;
+        
+        frontier = [...new Set(parents.flatMap(parent => parent.dependsOn.map(String)))]
+            .filter(id => !visited.has(id));
+    }
+    
+    return null;
+};
+
+/**
+ * Find a down monitor this monitor depends on, directly or through its parents
+ * @param {Object} monitor Monitor object
+ * @returns {Object|null} { monitor, incident } of the down parent and its open outage
+ */
+const findDownDependency = async (monitor) => {
+    if (!monitor.dependsOn || monitor.dependsOn.length === 0) return null;
+    
+    const parent = await walkDependencies(monitor.dependsOn, candidate => candidate.status === 'down');
+    if (!parent) return null;
+    
+    const incident = await Incident.findOne({
+        monitor: parent._id,
+        type: { $ne: 'performance' },
+        severity: 'critical',
+        resolvedAt: null
+    });
+    
+    return { monitor: parent, incident };
+};
+
+/**
+ * Check that a monitor can depend on the given parents without creating a cycle
+ * @param {string} monitorId Monitor ID
+ * @param {Array} parentIds Parent monitor IDs
+ * @returns {string|null} Error message, or null if the dependency graph stays acyclic
+ */
+const validateDependencies = async (monitorId, parentIds) => {
+    if (parentIds.some(id => String(id) === String(monitorId))) {
+        return 'A monitor cannot depend on itself';
+    }
+    
+    // Reaching the monitor from its new parents means it would depend on itself
+    const cycle = await walkDependencies(parentIds, parent =>
+        parent.dependsOn.some(id => String(id) === String(monitorId)));
+    
+    return cycle ? `Dependency cycle: ${cycle.name} already depends on this monitor` : null;
+};
+
+/**
+ * Open an incident unless one with the same openKey is already open for the monitor
+ * The unique (monitor, openKey) index makes this safe when several instances process checks at once.
+ * @param {Object} fields Incident fields
+ * @returns {Object|null} Created incident, or null if another check opened it first
+ */
+const openIncident = async (fields) => {
+    try {
+        return await new Incident(fields).save();
     } catch (error) {
-        console.warn('Error processing check result:', error);
+        if (error.code === 11000) {
+            return null;
+        }
         throw error;
     }
 };
 
+/**
+ * Resolve an open incident
+ * @param {Object} incident Open incident
+ * @param {Object} monitorCheck Check that ended the incident
+ * @param {Array} checks IDs of the checks that confirmed the recovery
+ * @returns {Object|null} Resolved incident, or null if another check resolved it first
+ */
+const resolveIncident = async (incident, monitorCheck, checks = []) => {
+    const resolvedAt = new Date();
+    
+    return Incident.findOneAndUpdate(
+        { _id: incident._id, resolvedAt: null },
+        {
+            $set: {
+                endCheck: monitorCheck._id,
+                status: 'resolved',
+                resolvedAt,
+                endTime: resolvedAt,
+                duration: resolvedAt - incident.startTime,
+                updatedAt: resolvedAt
+            },
+            $unset: { openKey: 1 },
+            $push: { checks: { $each: checks } }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Get the most recent checks of a monitor, oldest first
+ * Used to link the consecutive checks that confirmed a status change to its incident.
+ * @param {Object} monitor Monitor object
+ * @param {number} count Number of checks
+ * @returns {Array} Check IDs
+ */
+const getStreakChecks = async (monitor, count) => {
+    const checks = await MonitorCheck.find({ monitor: monitor._id, ...TRUSTED_CHECKS })
+        .sort({ timestamp: -1 })
+        .limit(count)
+        .select('_id');
+    
+    return checks.map(check => check._id).reverse();
+};
+
+/**
+ * Open warning incidents reported by a check and resolve the ones that cleared.
+ * Warning incidents don't change the monitor's up/down status.
+ * @param {Object} monitor Monitor object
+ * @param {Object} monitorCheck Stored check record
+ * @param {Object} checkResult Check result
+ * @param {Object} locationInfo Additional location information
+ */
+const processCheckWarnings = async (monitor, monitorCheck, checkResult, locationInfo = {}) => {
+    const warnings = checkResult.warnings || [];
+    
+    const openWarnings = await Incident.find({
+        monitor: monitor._id,
+        severity: 'warning',
+        type: { $nin: ['performance', 'flapping', 'other'] },
+        resolvedAt: null
+    });
+    
+    for (const warning of warnings) {
+        if (openWarnings.some(incident => incident.type === warning.type)) {
+            continue;
+        }
+        
+        const incident = await openIncident({
+            monitor: monitor._id,
+            website: monitor.website,
+            type: warning.type,
+            severity: 'warning',
+            openKey: warning.type,
+            startCheck: monitorCheck._id,
+            startTime: new Date(),
+            reason: warning.reason,
+            location: checkResult.location || 'system'
+        });
+        if (!incident) continue;
+        
+        await sendMonitorStatusAlert(
+            monitor,
+            'warning',
+            warning.reason,
+            { location: checkResult.location, ...locationInfo }
+        );
+    }
+    
+    // A successful check that no longer reports the condition clears the warning
+    if (!checkResult.success) return;
+    
+    for (const incident of openWarnings) {
+        if (warnings.some(warning => warning.type === incident.type)) {
+            continue;
+        }
+        
+        await resolveIncident(incident, monitorCheck);
+    }
+};
+
+/**
+ * Compare the content snapshot of a check with the stored one
+ * A changed hash opens an 'other' incident holding the diff; it stays open until acknowledged.
+ * @param {Object} monitor Monitor object
+ * @param {Object} monitorCheck Stored check record
+ * @param {Object} checkResult Check result
+ * @param {Object} locationInfo Location information
+ */
+const processContentChange = async (monitor, monitorCheck, checkResult, locationInfo = {}) => {
+    if (!checkResult.content) return;
+    
+    const { hash, snapshot } = checkResult.content;
+    const previousHash = monitor.content.hash;
+    const previousSnapshot = monitor.content.snapshot;
+    
+    if (previousHash === hash) return;
+    
+    // Only the check that swaps the stored hash reports the change (locations run concurrently)
+    const now = new Date();
+    const update = await Monitor.updateOne(
+        { _id: monitor._id, 'content.hash': previousHash },
+        { $set: { 'content.hash': hash, 'content.snapshot': snapshot, 'content.changedAt': previousHash ? now : null } }
+    );
+    
+    monitor.content.hash = hash;
+    monitor.content.snapshot = snapshot;
+    
+    // The first snapshot is the baseline, as are changes made during maintenance
+    if (!previousHash || update.modifiedCount === 0 || locationInfo.maintenance) return;
+    
+    monitor.content.changedAt = now;
+    
+    const reason = monitor.content.selector
+        ? `Content of ${monitor.content.selector} changed`
+        : 'Page content changed';
+    
+    const incident = new Incident({
+        monitor: monitor._id,
+        website: monitor.website,
+        type: 'other',
+        severity: 'warning',
+        startCheck: monitorCheck._id,
+        startTime: now,
+        reason,
+        statusCode: checkResult.statusCode,
+        location: checkResult.location || 'system',
+        contentChange: {
+            previousHash,
+            currentHash: hash,
+            diff: diffContent(previousSnapshot, snapshot)
+        }
+    });
+    await incident.save();
+    
+    await sendMonitorStatusAlert(
+        monitor,
+        'warning',
+        reason,
+        { location: checkResult.location, ...locationInfo }
+    );
+};
+
+/**
+ * Aggregate response times as configured on the monitor
+ * @param {Array} values Response times in milliseconds
+ * @param {Object} settings Performance settings ({ aggregation, percentile })
+ * @returns {number} Aggregated response time in milliseconds
+ */
+const aggregateResponseTimes = (values, { aggregation, percentile }) => {
+    if (aggregation === 'percentile') {
+        // Nearest-rank percentile
+        const sorted = [...values].sort((a, b) => a - b);
+        const rank = Math.ceil((percentile / 100) * sorted.length);
+        return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+    }
+    
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+};
+
+/**
+ * Open, escalate or resolve the performance incident of a monitor
+ * Latency is evaluated over the last N successful checks and is tracked separately from up/down state.
+ * @param {Object} monitor Monitor object
+ * @param {Object} monitorCheck Stored check record
+ * @param {Object} checkResult Check result
+ * @param {Object} locationInfo Location information
+ */
+const processPerformance = async (monitor, monitorCheck, checkResult, locationInfo = {}) => {
+    const settings = monitor.performance || {};
+    if (!settings.warningThreshold && !settings.criticalThreshold) return;
+    
+    // Failed checks are handled as downtime
+    if (!checkResult.success) return;
+    
+    const checks = await MonitorCheck.find({
+        monitor: monitor._id,
+        ...TRUSTED_CHECKS,
+        success: true,
+        responseTime: { $ne: null }
+    })
+        .sort({ timestamp: -1 })
+        .limit(settings.window)
+        .select('responseTime');
+    
+    if (checks.length < settings.window) return;
+    
+    const value = aggregateResponseTimes(checks.map(check => check.responseTime), settings);
+    const label = settings.aggregation === 'percentile'
+        ? `p${settings.percentile} response time`
+        : 'Average response time';
+    
+    let level = null;
+    let threshold = null;
+    if (settings.criticalThreshold && value >= settings.criticalThreshold) {
+        level = 'critical';
+        threshold = settings.criticalThreshold;
+    } else if (settings.warningThreshold && value >= settings.warningThreshold) {
+        level = 'warning';
+        threshold = settings.warningThreshold;
+    }
+    
+    const openPerformance = await Incident.findOne({
+        monitor: monitor._id,
+        type: 'performance',
+        resolvedAt: null
+    });
+    
+    const reason = level
+        ? `${label} ${value}ms over the last ${checks.length} checks exceeds the ${level} threshold of ${threshold}ms`
+        : `${label} back to ${value}ms over the last ${checks.length} checks`;
+    const alertLocation = { location: checkResult.location, ...locationInfo };
+    
+    if (level && !openPerformance) {
+        const incident = await openIncident({
+            monitor: monitor._id,
+            website: monitor.website,
+            type: 'performance',
+            severity: level,
+            openKey: 'performance',
+            startCheck: monitorCheck._id,
+            startTime: new Date(),
+            reason,
+            responseTime: value,
+            location: checkResult.location || 'system'
+        });
+        
+        if (incident) {
+            await sendMonitorStatusAlert(monitor, level === 'critical' ? 'degraded' : 'warning', reason, alertLocation);
+        }
+    } else if (level && openPerformance.severity !== level) {
+        // Change the severity atomically so concurrent checks alert once
+        const updated = await Incident.findOneAndUpdate(
+            { _id: openPerformance._id, resolvedAt: null, severity: { $ne: level } },
+            { $set: { severity: level, reason, responseTime: value, updatedAt: new Date() } },
+            { new: true }
+        );
+        
+        // Only escalations alert again
+        if (updated && level === 'critical') {
+            await sendMonitorStatusAlert(monitor, 'degraded', reason, alertLocation);
+        }
+    } else if (!level && openPerformance) {
+        if (await resolveIncident(openPerformance, monitorCheck)) {
+            await sendMonitorStatusAlert(monitor, 'recovered', reason, alertLocation);
+        }
+    }
+};
+
 /**
  * Process payment for a monitoring check
  * @param {Object} monitorCheck Monitor check record
@@ -421,13 +996,197 @@ const processPaymentForCheck = async (monitorCheck) => {
         
         // Mark check as payment processed
         monitorCheck.paymentProcessed = true;
+        monitorCheck.paymentStatus = 'paid';
         await monitorCheck.save();
         
         return payment;
     } catch (error) {
-        console.error('Error processing payment for check:', error);
-        throw error;
+        console.error('Error processing payment for check:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get how far apart in time checks of a monitor are compared
+ * @param {Object} monitor Monitor object
+ * @returns {number} Window before and after a check (milliseconds)
+ */
+const getValidationWindow = (monitor) => Math.max(VALIDATION_WINDOW, (monitor.interval || 0) * 1000 / 2);
+
+/**
+ * Get the checks a probe result is cross-validated against
+ * Server-side checks count fully; other users' probe results count by their probe's
+ * reputation, once they were confirmed themselves.
+ * @param {Object} monitorCheck Probe result
+ * @param {number} window Window before and after the result (milliseconds)
+ * @returns {Array} References as { success, statusCode, responseTime, location, weight }
+ */
+const getValidationReferences = async (monitorCheck, window) => {
+    const timestamp = monitorCheck.timestamp.getTime();
+    const checks = await MonitorCheck.find({
+        monitor: monitorCheck.monitor,
+        _id: { $ne: monitorCheck._id },
+        performedBy: { $ne: monitorCheck.performedBy },
+        timestamp: { $gte: new Date(timestamp - window), $lte: new Date(timestamp + window) },
+        $or: [{ probe: null }, { 'validation.status': 'agreed' }]
+    });
+    
+    const probeIds = [...new Set(checks.filter(check => check.probe).map(check => String(check.probe)))];
+    const probes = probeIds.length > 0 ? await Probe.find({ _id: { $in: probeIds } }, 'reputation') : [];
+    const scores = new Map(probes.map(probe => [String(probe._id), probe.reputation.score]));
+    
+    return checks.map(check => ({
+        success: check.success,
+        statusCode: check.statusCode,
+        responseTime: check.responseTime,
+        location: check.location,
+        weight: check.probe ? (scores.get(String(check.probe)) || 0) / 100 : 1
+    }));
+};
+
+/**
+ * Cross-validate a held probe result, update the probe's reputation and settle the payment
+ * Agreed results are paid and outliers refused. A result nothing could confirm is only
+ * settled once final, as unverified: it's paid when the probe has a trusted reputation.
+ * @param {Object} monitor Monitor object
+ * @param {Object} monitorCheck Held probe result
+ * @param {boolean} final Settle the result even without references
+ * @returns {Object|null} Settled check, null while the result stays held
+ */
+const validateProbeCheck = async (monitor, monitorCheck, final = false) => {
+    const references = await getValidationReferences(monitorCheck, getValidationWindow(monitor));
+    const result = crossValidate(monitorCheck, references);
+    if (result.verdict === 'insufficient' && !final) return null;
+    
+    const status = result.verdict === 'insufficient' ? 'unverified' : result.verdict;
+    const probe = await Probe.findById(monitorCheck.probe);
+    const pay = status === 'agreed' ||
+        (status === 'unverified' && Boolean(probe) && probe.reputation.score >= TRUSTED_REPUTATION);
+    
+    // Claim the result so it is only settled (and paid) once
+    const settled = await MonitorCheck.findOneAndUpdate(
+        { _id: monitorCheck._id, 'validation.status': 'pending' },
+        {
+            $set: {
+                validation: {
+                    status,
+                    agreement: result.agreement,
+                    references: result.references,
+                    reasons: result.reasons,
+                    validatedAt: new Date()
+                },
+                ...(!pay && { paymentStatus: 'refused' })
+            }
+        },
+        { new: true }
+    );
+    if (!settled) return null;
+    
+    if (probe) {
+        const update = status === 'unverified'
+            ? { $inc: { 'reputation.unverified': 1 } }
+            : {
+                $set: {
+                    'reputation.score': updateReputation(probe.reputation.score, status),
+                    ...(status === 'outlier' && { 'reputation.lastOutlierAt': new Date() })
+                },
+                $inc: { [status === 'agreed' ? 'reputation.agreed' : 'reputation.outliers']: 1 }
+            };
+        await Probe.updateOne({ _id: probe._id }, update);
+    }
+    
+    // Confirmed results count towards the status and response times like any other check;
+    // the content and warnings they report can't be confirmed, so only server-side checks raise those
+    if (status === 'agreed' && !settled.inMaintenance && !settled.dependentFailure) {
+        const checkResult = settled.toObject();
+        const locationInfo = { location: settled.location, region: settled.region, city: settled.city, country: settled.country, probe: settled.probe };
+        await processStatusChange(monitor, [{ monitorCheck: settled, checkResult }], !settled.success, locationInfo);
+        await processPerformance(monitor, settled, checkResult, locationInfo);
+    }
+    
+    if (status === 'outlier') {
+        console.warn(`Outlier result from probe ${monitorCheck.probe} for ${monitor.name} (${result.reasons.join(', ')}), payment refused`);
+    }
+    
+    if (pay) {
+        await processPaymentForCheck(settled);
+    }
+    
+    return settled;
+};
+
+/**
+ * Cross-validate the held probe results of a monitor around a new check
+ * @param {Object} monitor Monitor object
+ * @param {Object} monitorCheck New check record
+ */
+const validateHeldChecks = async (monitor, monitorCheck) => {
+    try {
+        const window = getValidationWindow(monitor);
+        const timestamp = monitorCheck.timestamp.getTime();
+        const held = await MonitorCheck.find({
+            monitor: monitor._id,
+            'validation.status': 'pending',
+            timestamp: { $gte: new Date(timestamp - window), $lte: new Date(timestamp + window) }
+        });
+        
+        for (const check of held) {
+            await validateProbeCheck(monitor, check);
+        }
+    } catch (error) {
+        // Results stay held and are settled later (see settleHeldChecks)
+        console.error('Error cross-validating probe results:', error);
+    }
+};
+
+/**
+ * Settle probe results still held after their validation window closed
+ * Runs periodically; results are claimed atomically, so instances can run it side by side.
+ * @returns {number} Number of settled results
+ */
+const settleHeldChecks = async () => {
+    const now = Date.now();
+    const held = await MonitorCheck.find({
+        'validation.status': 'pending',
+        timestamp: { $lte: new Date(now - VALIDATION_WINDOW - VALIDATION_GRACE) }
+    }).sort({ timestamp: 1 }).limit(100);
+    
+    const monitors = await Monitor.find({ _id: { $in: [...new Set(held.map(check => String(check.monitor)))] } });
+    const monitorsById = new Map(monitors.map(monitor => [String(monitor._id), monitor]));
+    
+    let settled = 0;
+    for (const check of held) {
+        const monitor = monitorsById.get(String(check.monitor));
+        if (monitor && check.timestamp.getTime() + getValidationWindow(monitor) + VALIDATION_GRACE > now) continue;
+        
+        try {
+            if (!monitor) {
+                // Results for deleted monitors are no longer paid
+                const result = await MonitorCheck.updateOne(
+                    { _id: check._id, 'validation.status': 'pending' },
+                    { $set: { 'validation.status': 'unverified', 'validation.validatedAt': new Date(), paymentStatus: 'refused' } }
+                );
+                if (result.modifiedCount > 0) settled++;
+            } else if (await validateProbeCheck(monitor, check, true)) {
+                settled++;
+            }
+        } catch (error) {
+            console.error(`Error settling probe result ${check._id}:`, error);
+        }
     }
+    
+    return settled;
+};
+
+/**
+ * Get a readable description of every assertion that failed in a check
+ * @param {Object} checkResult Check result
+ * @returns {Array} Failed assertion descriptions
+ */
+const getFailedAssertionMessages = (checkResult) => {
+    return (checkResult.assertions || [])
+        .filter(assertion => !assertion.passed)
+        .map(assertion => `${assertion.type}${assertion.path ? ` ${assertion.path}` : ''}: ${assertion.message}`);
 };
 
 /**
@@ -436,8 +1195,9 @@ const processPaymentForCheck = async (monitorCheck) => {
  * @param {string} status New status ('up' or 'down')
  * @param {string} reason Reason for the status change
  * @param {Object} locationInfo Additional location information of the user who performed the check
+ * @param {Array} failedRules Descriptions of the assertion rules that failed
  */
-const sendMonitorStatusAlert = async (monitor, status, reason, locationInfo = {}) => {
+const sendMonitorStatusAlert = async (monitor, status, reason, locationInfo = {}, failedRules = []) => {
     try {
         // Get website details
         const website = await Website.findById(monitor.website);
@@ -495,6 +1255,7 @@ const sendMonitorStatusAlert = async (monitor, status, reason, locationInfo = {}
                 status,
                 url: monitor.url,
                 reason,
+                failedRules,
                 location,
                 isOwner: email === ownerEmail
             });
@@ -508,62 +1269,211 @@ const sendMonitorStatusAlert = async (monitor, status, reason, locationInfo = {}
 };
 
 /**
- * Perform a check for a monitor
- * @param {string} monitorId Monitor ID
- * @param {string} userId User ID performing the check
- * @param {Object} options Optional parameters
- * @returns {Object} Check result
+ * Lease checks to a prober: a remote probe, or a user checking over HTTP
+ * Each monitor is checked from every region it requests (its locations) about once per interval;
+ * the monitor's coverage keeps when each region is due and who holds its lease. Due pairs are
+ * claimed atomically, the longest overdue first and one region per monitor at a time. A lease
+ * past its expiry counts as free, so expired leases go to the next prober as they are claimed.
+ * Monitors of the prober's own websites are never leased to it.
+ * @param {Object} prober Prober
+ * @param {string} prober.owner ID of the user paid for the checks
+ * @param {string} prober.probe Probe ID, null for checks over HTTP
+ * @param {string} prober.region Region the prober checks from, null for any
+ * @param {Array} prober.capabilities Check types the prober can run, null for all
+ * @param {number} max Maximum number of new leases
+ * @returns {Array} Leases as { assignment, monitor }
  */
-const performMonitorCheck = async (monitorId, userId, options = {}) => {
+const leaseAssignments = async (prober, max = MAX_ASSIGNMENTS) => {
     try {
-        // Find monitor
-        const monitor = await Monitor.findById(monitorId);
-        if (!monitor) {
-            throw new Error('Monitor not found');
+        const now = new Date();
+        const proberKey = `${prober.owner}:${prober.probe || ''}`;
+        
+        // Cap the leases a prober holds at once
+        const held = await Assignment.countDocuments({
+            owner: prober.owner,
+            probe: prober.probe || null,
+            status: 'leased',
+            leaseExpiresAt: { $gt: now }
+        });
+        const limit = Math.min(max, MAX_ASSIGNMENTS - held);
+        if (limit <= 0) return [];
+        
+        const types = listCheckTypes()
+            .filter(checkType => !checkType.push)
+            .filter(checkType => !prober.capabilities || prober.capabilities.includes(checkType.type))
+            .map(checkType => checkType.type);
+        if (types.length === 0) return [];
+        
+        const ownWebsites = await Website.find({ owner: prober.owner }).distinct('_id');
+        
+        const regions = prober.region ? [prober.region] : Monitor.schema.path('locations').caster.enumValues;
+        
+        // Monitors due from a region without a valid lease there; the prober that let a lease
+        // expire doesn't get it back right away
+        const dueFrom = (region) => {
+            const entry = `coverage.${region}`;
+            return {
+                active: true,
+                type: { $in: types },
+                website: { $nin: ownWebsites },
+                ...(prober.probe && { serverOnly: { $ne: true } }),
+                [`${entry}.dueAt`]: { $lte: now },
+                $and: [
+                    { $or: [{ [`${entry}.leaseExpiresAt`]: null }, { [`${entry}.leaseExpiresAt`]: { $lte: now } }] },
+                    {
+                        $or: [
+                            { [`${entry}.prober`]: { $ne: proberKey } },
+                            { [`${entry}.leaseExpiresAt`]: null },
+                            { [`${entry}.leaseExpiresAt`]: { $lte: new Date(now.getTime() - ASSIGNMENT_LEASE) } }
+                        ]
+                    }
+                ]
+            };
+        };
+        
+        // The most overdue pairs of each region, merged so the longest overdue are leased first
+        const candidates = (await Promise.all(regions.map(async (region) => {
+            const monitors = await Monitor.find(dueFrom(region))
+                .sort({ [`coverage.${region}.dueAt`]: 1 })
+                .limit(limit)
+                .select(`coverage.${region}.dueAt`);
+            return monitors.map(monitor => ({ monitorId: monitor._id, region, dueAt: monitor.coverage[region].dueAt }));
+        }))).flat().sort((a, b) => a.dueAt - b.dueAt);
+        
+        const leases = [];
+        for (const { monitorId, region } of candidates) {
+            if (leases.length >= limit) break;
+            if (leases.some(lease => lease.monitor._id.equals(monitorId))) continue;
+            
+            // Claim the pair unless another prober got it first
+            const assignmentId = new mongoose.Types.ObjectId();
+            const monitor = await Monitor.findOneAndUpdate(
+                { _id: monitorId, ...dueFrom(region) },
+                {
+                    $set: {
+                        [`coverage.${region}.leaseExpiresAt`]: new Date(now.getTime() + ASSIGNMENT_LEASE),
+                        [`coverage.${region}.prober`]: proberKey,
+                        [`coverage.${region}.assignment`]: assignmentId
+                    }
+                },
+                { new: true }
+            ).populate('website', 'name url');
+            if (!monitor) continue;
+            
+            const leaseExpiresAt = new Date(now.getTime() + monitor.timeout + ASSIGNMENT_LEASE);
+            
+            // Extend the claim to the full lease, and expire the lease this one replaces
+            const [, expired] = await Promise.all([
+                Monitor.updateOne(
+                    { _id: monitor._id, [`coverage.${region}.assignment`]: assignmentId },
+                    { $set: { [`coverage.${region}.leaseExpiresAt`]: leaseExpiresAt } }
+                ),
+                Assignment.findOneAndUpdate(
+                    { monitor: monitor._id, region, status: 'leased' },
+                    { $set: { status: 'expired' } }
+                )
+            ]);
+            
+            const assignment = await Assignment.create({
+                _id: assignmentId,
+                monitor: monitor._id,
+                region,
+                owner: prober.owner,
+                probe: prober.probe || null,
+                leasedAt: now,
+                leaseExpiresAt,
+                reassignedFrom: expired ? expired._id : null
+            });
+            leases.push({ assignment, monitor });
         }
         
-        // Find website
-        const website = await Website.findById(monitor.website);
-        if (!website) {
-            throw new Error('Website not found');
+        return leases;
+    } catch (error) {
+        console.error('Error leasing assignments:', error);
+        throw error;
+    }
+};
+
+/**
+ * Complete a lease before its result is stored, so a result is only accepted (and paid) once
+ * The leased region of the monitor is due again one interval later.
+ * @param {Object} filter Conditions the lease must match (e.g. its ID and prober)
+ * @returns {Object|null} { assignment, monitor } with the completed assignment, null without a valid lease
+ */
+const completeAssignment = async (filter) => {
+    const now = new Date();
+    const assignment = await Assignment.findOneAndUpdate(
+        { ...filter, status: 'leased', leaseExpiresAt: { $gt: now } },
+        { $set: { status: 'completed', completedAt: now } },
+        { new: true }
+    );
+    if (!assignment) {
+        return null;
+    }
+    
+    const monitor = await Monitor.findById(assignment.monitor);
+    if (monitor) {
+        const entry = `coverage.${assignment.region}`;
+        await Monitor.updateOne(
+            { _id: monitor._id, [`${entry}.assignment`]: assignment._id },
+            { $set: { [`${entry}.dueAt`]: new Date(now.getTime() + monitor.interval * 1000), [`${entry}.leaseExpiresAt`]: null } }
+        );
+    }
+    
+    return { assignment, monitor };
+};
+
+/**
+ * Get the leases a prober holds
+ * @param {Object} prober Prober ({ owner, probe })
+ * @returns {Array} Leased assignments with their monitor
+ */
+const getAssignments = async (prober) => {
+    try {
+        return await Assignment.find({
+            owner: prober.owner,
+            probe: prober.probe || null,
+            status: 'leased',
+            leaseExpiresAt: { $gt: new Date() }
+        })
+            .sort({ leaseExpiresAt: 1 })
+            .populate({ path: 'monitor', select: 'name type url website', populate: { path: 'website', select: 'name url' } });
+    } catch (error) {
+        console.error('Error getting assignments:', error);
+        throw error;
+    }
+};
+
+/**
+ * Run the check of a lease held by a user over HTTP
+ * The server runs the check and stores it under the leased region.
+ * @param {string} userId ID of user holding the lease
+ * @param {string} monitorId Monitor ID
+ * @param {string} assignmentId ID of the lease
+ * @returns {Object|null} Check result, null without a valid lease for the monitor
+ */
+const performAssignedCheck = async (userId, monitorId, assignmentId) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(monitorId) || !mongoose.Types.ObjectId.isValid(assignmentId)) {
+            return null;
         }
         
-        // Default location if not provided
-        const location = options.location || 'manual-check';
-        
-        // Perform check based on monitor type
-        let checkResult;
-        
-        switch (monitor.type) {
-            case 'http':
-            case 'https':
-                checkResult = await performHttpCheck(monitor, location);
-                break;
-            case 'dns':
-                checkResult = await performDnsCheck(monitor, location);
-                break;
-            case 'ssl':
-                checkResult = await performSslCheck(monitor, location);
-                break;
-            case 'tcp':
-                checkResult = await performTcpCheck(monitor, location);
-                break;
-            case 'ping':
-                checkResult = await performPingCheck(monitor, location);
-                break;
-            default:
-                checkResult = await performHttpCheck(monitor, location);
-                break;
+        const lease = await completeAssignment({ _id: assignmentId, owner: userId, probe: null, monitor: monitorId });
+        if (!lease) {
+            return null;
         }
         
-        // Process result
-        try {
-            const monitorCheck = await processCheckResult(monitor, checkResult, userId, { location });
-            return { ...checkResult, checkId: monitorCheck._id };
-        } catch (error) {
-            console.error('Error processing check result:', error);
-            throw error;
+        const { assignment, monitor } = lease;
+        if (!monitor || !monitor.active) {
+            throw new Error('Monitor not found');
         }
+        
+        // Perform check with the executor registered for the monitor type
+        const checkResult = await performCheck(monitor, assignment.region);
+        const monitorCheck = await processCheckResult(monitor, checkResult, userId, { location: assignment.region });
+        
+        await Assignment.updateOne({ _id: assignment._id }, { $set: { check: monitorCheck._id } });
+        return { ...checkResult, checkId: monitorCheck._id, location: monitorCheck.location, timestamp: monitorCheck.timestamp };
     } catch (error) {
         console.error('Error performing monitor check:', error);
         throw error;
@@ -571,29 +1481,124 @@ const performMonitorCheck = async (monitorId, userId, options = {}) => {
 };
 
 /**
- * Get monitors available for a user to check
- * @param {string} userId ID of user
- * @returns {Array} Array of available monitors
+ * Lease check jobs to a probe, for monitors requesting its region
+ * @param {Object} probe Registered probe
+ * @param {number} max Maximum number of jobs
+ * @returns {Array} Jobs as { assignment, monitor }
  */
-const getAvailableMonitors = async (userId) => {
-    try {
-        // Find active monitors that haven't been checked recently by this user
-        const recentChecks = await MonitorCheck.find({
-            performedBy: userId,
-            createdAt: { $gte: new Date(Date.now() - 5 * 60 * 1000) } // Last 5 minutes
-        }).distinct('monitor');
-        
-        // Find active monitors not in the recentChecks list
-        const availableMonitors = await Monitor.find({
-            active: true,
-            _id: { $nin: recentChecks }
-        }).populate('website', 'name url');
-        
-        return availableMonitors;
-    } catch (error) {
-        console.error('Error getting available monitors:', error);
-        throw error;
+const getProbeJobs = (probe, max = MAX_ASSIGNMENTS) => leaseAssignments({
+    owner: probe.owner,
+    probe: probe._id,
+    region: probe.region,
+    capabilities: probe.capabilities
+}, max);
+
+/**
+ * Keep the fields of a probe's result the server stores
+ * The location always comes from the probe's registration.
+ * @param {string} type Monitor type
+ * @param {Object} result Result submitted by the probe
+ * @param {string} region Region of the probe
+ * @returns {Object} Check result
+ */
+const pickProbeResult = (type, result, region) => {
+    const incidentTypes = Incident.schema.path('type').enumValues;
+    
+    return {
+        success: result.success === true,
+        statusCode: Number.isInteger(result.statusCode) ? result.statusCode : null,
+        responseTime: Number.isFinite(result.responseTime) ? Math.max(0, result.responseTime) : null,
+        errorMessage: typeof result.errorMessage === 'string' ? result.errorMessage.slice(0, 1000) : null,
+        ...(typeof result.message === 'string' && { message: result.message.slice(0, 1000) }),
+        ...(incidentTypes.includes(result.incidentType) && { incidentType: result.incidentType }),
+        warnings: Array.isArray(result.warnings)
+            ? result.warnings.filter(warning => warning && incidentTypes.includes(warning.type) && typeof warning.reason === 'string')
+            : [],
+        ...(result.content && typeof result.content.hash === 'string' && {
+            content: { hash: result.content.hash, snapshot: String(result.content.snapshot || '') }
+        }),
+        ...getResultFields(type, result),
+        location: region
+    };
+};
+
+/**
+ * Check the signature of a probe result against the probe's keys
+ * @param {Object} probe Registered probe
+ * @param {Object} submission { jobId, monitorId, timestamp, result, keyId, signature }
+ * @returns {Object} Key that signed the result
+ */
+const verifyProbeSignature = (probe, submission) => {
+    const { keyId, signature } = submission;
+    if (typeof keyId !== 'string' || typeof signature !== 'string') {
+        throw new Error('Result is not signed');
+    }
+    
+    const now = Date.now();
+    const key = probe.keys.find(candidate => candidate.keyId === keyId);
+    const valid = key && (key.status === 'active' ||
+        (key.status === 'retired' && now - key.retiredAt.getTime() < PROBE_KEY_ROTATION_GRACE));
+    if (!valid) {
+        throw new Error('Unknown, retired or revoked signing key');
+    }
+    
+    if (!verifyResult(submission, signature, key.publicKey)) {
+        throw new Error('Invalid signature');
+    }
+    
+    // The signed timestamp bounds how long a captured submission could be replayed
+    const timestamp = Date.parse(submission.timestamp);
+    if (Number.isNaN(timestamp) || Math.abs(now - timestamp) > PROBE_CLOCK_SKEW) {
+        throw new Error('Result timestamp is out of range');
+    }
+    
+    return key;
+};
+
+/**
+ * Store the signed result a probe submitted for one of its jobs
+ * @param {Object} probe Registered probe
+ * @param {Object} submission { jobId, monitorId, timestamp, result, keyId, signature }
+ * @returns {Object} Stored check record
+ */
+const submitProbeResult = async (probe, submission) => {
+    const { jobId, monitorId, timestamp, result } = submission || {};
+    if (!mongoose.Types.ObjectId.isValid(jobId) || !mongoose.Types.ObjectId.isValid(monitorId) ||
+        !result || typeof result !== 'object') {
+        throw new Error('Invalid result');
+    }
+    
+    const key = verifyProbeSignature(probe, submission);
+    
+    // The signed job, monitor and timestamp must all match the lease
+    const lease = await completeAssignment({
+        _id: jobId,
+        probe: probe._id,
+        monitor: monitorId,
+        leasedAt: { $lte: new Date(Date.parse(timestamp) + PROBE_CLOCK_SKEW) }
+    });
+    if (!lease) {
+        throw new Error('Job not found, expired or already completed');
+    }
+    
+    const { assignment, monitor } = lease;
+    if (!monitor || !monitor.active) {
+        throw new Error('Monitor not found');
     }
+    
+    const monitorCheck = await processCheckResult(monitor, pickProbeResult(monitor.type, result, probe.region), probe.owner, {
+        location: probe.region,
+        region: probe.region,
+        city: probe.city,
+        country: probe.country,
+        ip: probe.ip,
+        probe: probe._id,
+        signingKey: key.keyId,
+        signature: submission.signature
+    });
+    
+    await Assignment.updateOne({ _id: assignment._id }, { $set: { check: monitorCheck._id } });
+    return monitorCheck;
 };
 
 /**
@@ -610,122 +1615,12 @@ const performAdminCheck = async (monitorId, adminId) => {
             throw new Error('Monitor not found');
         }
         
-        // Find website
-        const website = await Website.findById(monitor.website);
-        if (!website) {
-            throw new Error('Website not found');
-        }
-        
-        // Perform check based on monitor type
-        let checkResult;
+        // Perform check with the executor registered for the monitor type
         const location = 'admin-console'; // Admin-specific location
+        const checkResult = await performCheck(monitor, location);
         
-        switch (monitor.type) {
-            case 'http':
-            case 'https':
-                checkResult = await performHttpCheck(monitor, location);
-                break;
-            case 'dns':
-                checkResult = await performDnsCheck(monitor, location);
-                break;
-            case 'ssl':
-                checkResult = await performSslCheck(monitor, location);
-                break;
-            case 'tcp':
-                checkResult = await performTcpCheck(monitor, location);
-                break;
-            case 'ping':
-                checkResult = await performPingCheck(monitor, location);
-                break;
-            default:
-                checkResult = await performHttpCheck(monitor, location);
-                break;
-        }
-        
-        // Create check record in database
-        const monitorCheck = new MonitorCheck({
-            monitor: monitor._id,
-            website: website._id,
-            timestamp: new Date(),
-            success: checkResult.success,
-            statusCode: checkResult.statusCode,
-            responseTime: checkResult.responseTime,
-            errorMessage: checkResult.errorMessage,
-            location: checkResult.location,
-            performedBy: adminId,
-            // No payment for admin checks
-            paymentProcessed: true
-        });
-        
-        await monitorCheck.save();
-        
-        // If check failed and threshold reached, create an incident (if none exists)
-        if (!checkResult.success) {
-            // Find recent checks to see if threshold is reached
-            const recentChecks = await MonitorCheck.find({
-                monitor: monitor._id,
-                timestamp: { $gte: new Date(Date.now() - 1000 * 60 * 60) } // Last hour
-            }).sort({ timestamp: -1 });
-            
-            const consecutiveFailures = recentChecks.findIndex(check => check.success) === -1
-                ? recentChecks.length
-                : recentChecks.findIndex(check => check.success);
-            
-            if (consecutiveFailures >= monitor.alertThreshold) {
-                // Check if there's an active incident
-                const activeIncident = await Incident.findOne({
-                    monitor: monitor._id,
-                    resolved: false
-                });
-                
-                if (!activeIncident) {
-                    // Create new incident
-                    const incident = new Incident({
-                        monitor: monitor._id,
-                        website: website._id,
-                        status: 'investigating',
-                        startTime: new Date(),
-                        description: `Monitor is down: ${checkResult.errorMessage || 'Unknown error'}`,
-                        checks: [monitorCheck._id]
-                    });
-                    
-                    await incident.save();
-                    
-                    // Send alerts
-                    await sendMonitorStatusAlert(
-                        monitor,
-                        'down',
-                        checkResult.errorMessage || 'Monitor check failed',
-                        { isAdmin: true, adminId }
-                    );
-                }
-            }
-        } else {
-            // If check succeeded and there's an active incident, resolve it
-            const activeIncident = await Incident.findOne({
-                monitor: monitor._id,
-                resolved: false
-            });
-            
-            if (activeIncident) {
-                activeIncident.resolved = true;
-                activeIncident.resolvedTime = new Date();
-                activeIncident.resolution = 'Monitor is operational again';
-                activeIncident.checks.push(monitorCheck._id);
-                
-                await activeIncident.save();
-                
-                // Send recovery alert
-                await sendMonitorStatusAlert(
-                    monitor,
-                    'recovered',
-                    'Monitor is operational again',
-                    { isAdmin: true, adminId }
-                );
-            }
-        }
-        
-        return monitorCheck;
+        // Counts towards the status and incidents like any other check, but isn't paid
+        return await processCheckResult(monitor, checkResult, adminId, { location, isAdmin: true, adminId });
     } catch (error) {
         console.error('Admin monitor check error:', error);
         throw error;
@@ -740,7 +1635,7 @@ const performAdminCheck = async (monitorId, adminId) => {
  */
 const getMonitorStats = async (monitorId, options = {}) => {
     try {
-        const { days = 30 } = options;
+        const { days = 30, excludeMaintenance = false } = options;
         
         // Get the monitor
         const monitor = await Monitor.findById(monitorId).populate('website');
@@ -755,16 +1650,22 @@ const getMonitorStats = async (monitorId, options = {}) => {
         
         const checks = await MonitorCheck.find({
             monitor: monitorId,
-            createdAt: { $gte: startDate }
+            createdAt: { $gte: startDate },
+            ...TRUSTED_CHECKS
         }).sort({ createdAt: 1 });
         
         // Calculate statistics
         const totalChecks = checks.length;
         const successfulChecks = checks.filter(check => check.success).length;
         
+        // Checks during maintenance can be left out of uptime
+        const countsForUptime = check => !excludeMaintenance || !check.inMaintenance;
+        const uptimeChecks = checks.filter(countsForUptime);
+        const maintenanceChecks = checks.filter(check => check.inMaintenance).length;
+        
         // Calculate uptime percentage
-        const uptime = totalChecks > 0 
-            ? (successfulChecks / totalChecks * 100).toFixed(2) 
+        const uptime = uptimeChecks.length > 0 
+            ? (uptimeChecks.filter(check => check.success).length / uptimeChecks.length * 100).toFixed(2) 
             : 100;
         
         // Get average response time
@@ -782,6 +1683,9 @@ const getMonitorStats = async (monitorId, options = {}) => {
             ? Math.max(...checks.map(check => check.responseTime))
             : 0;
         
+        // Get average time spent in each request phase
+        const avgTimings = averageTimings(checks);
+        
         // Organize check data by day for charts
         const dailyData = {};
         const locations = new Set();
@@ -796,10 +1700,14 @@ const getMonitorStats = async (monitorId, options = {}) => {
                 successfulChecks: 0,
                 uptime: 100,
                 avgResponseTime: 0,
-                responseTimeSum: 0
+                responseTimeSum: 0,
+                avgTimings: averageTimings([])
             };
         }
         
+        // Checks counted towards each day's uptime
+        const uptimeByDay = {};
+        
         // Fill in data from checks
         checks.forEach(check => {
             const dateString = check.createdAt.toISOString().split('T')[0];
@@ -811,7 +1719,8 @@ const getMonitorStats = async (monitorId, options = {}) => {
                     successfulChecks: 0,
                     uptime: 100,
                     avgResponseTime: 0,
-                    responseTimeSum: 0
+                    responseTimeSum: 0,
+                    avgTimings: averageTimings([])
                 };
             }
             
@@ -824,7 +1733,13 @@ const getMonitorStats = async (monitorId, options = {}) => {
             
             dayData.responseTimeSum += check.responseTime;
             dayData.avgResponseTime = Math.round(dayData.responseTimeSum / dayData.totalChecks);
-            dayData.uptime = parseFloat((dayData.successfulChecks / dayData.totalChecks * 100).toFixed(2));
+            
+            if (countsForUptime(check)) {
+                const dayUptime = uptimeByDay[dateString] = uptimeByDay[dateString] || { total: 0, successful: 0 };
+                dayUptime.total++;
+                if (check.success) dayUptime.successful++;
+                dayData.uptime = parseFloat((dayUptime.successful / dayUptime.total * 100).toFixed(2));
+            }
             
             // Track unique locations
             if (check.location) {
@@ -832,6 +1747,16 @@ const getMonitorStats = async (monitorId, options = {}) => {
             }
         });
         
+        // Average request phases per day
+        const checksByDay = {};
+        checks.forEach(check => {
+            const dateString = check.createdAt.toISOString().split('T')[0];
+            (checksByDay[dateString] = checksByDay[dateString] || []).push(check);
+        });
+        Object.entries(checksByDay).forEach(([dateString, dayChecks]) => {
+            dailyData[dateString].avgTimings = averageTimings(dayChecks);
+        });
+        
         // Convert daily data to array and sort by date
         const dailyDataArray = Object.values(dailyData).sort((a, b) => 
             new Date(a.date) - new Date(b.date)
@@ -842,11 +1767,24 @@ const getMonitorStats = async (monitorId, options = {}) => {
             ? checks[checks.length - 1] 
             : null;
         
-        const status = !latestCheck 
-            ? 'unknown' 
-            : latestCheck.success 
-                ? 'up' 
-                : 'down';
+        const status = monitor.status === 'flapping'
+            ? 'flapping'
+            : !latestCheck 
+                ? 'unknown' 
+                : latestCheck.success 
+                    ? 'up' 
+                    : 'down';
+        
+        // Status changes counted for flapping detection
+        const flappingWindowStart = Date.now() - monitor.flapping.window * 60 * 1000;
+        const flapping = {
+            enabled: monitor.flapping.enabled,
+            since: monitor.flapping.since,
+            state: monitor.flapping.lastState,
+            recentChanges: monitor.flapping.changes.filter(date => date.getTime() >= flappingWindowStart).length,
+            window: monitor.flapping.window,
+            threshold: monitor.flapping.threshold
+        };
         
         // Get open incidents
         const openIncidents = await Incident.find({
@@ -867,6 +1805,7 @@ const getMonitorStats = async (monitorId, options = {}) => {
                 url: monitor.url,
                 type: monitor.type,
                 status,
+                flapping,
                 uptime: parseFloat(uptime),
                 website: monitor.website ? {
                     id: monitor.website._id,
@@ -881,6 +1820,9 @@ const getMonitorStats = async (monitorId, options = {}) => {
                 avgResponseTime: parseInt(avgResponseTime),
                 fastestResponseTime,
                 slowestResponseTime,
+                avgTimings,
+                maintenanceChecks,
+                excludesMaintenance: excludeMaintenance,
                 locations: Array.from(locations),
                 lastChecked: latestCheck ? latestCheck.createdAt : null
             },
@@ -900,80 +1842,267 @@ const getMonitorStats = async (monitorId, options = {}) => {
 };
 
 /**
- * Schedule automatic checks for all active monitors
+ * Get the latest status of a monitor from each of its locations
+ * @param {Object} monitor Monitor object
+ * @param {Object} options Options
+ * @param {number} options.period Period of the uptime in milliseconds (default 24 hours)
+ * @returns {Array} Status by location
  */
-const scheduleMonitorChecks = async () => {
-    console.log('Setting up scheduled monitoring checks');
+const getLocationStatus = async (monitor, options = {}) => {
+    const since = new Date(Date.now() - (options.period || 24 * 60 * 60 * 1000));
+    
+    const stats = await MonitorCheck.aggregate([
+        { $match: { monitor: monitor._id, timestamp: { $gte: since }, ...TRUSTED_CHECKS } },
+        { $sort: { timestamp: -1 } },
+        {
+            $group: {
+                _id: '$location',
+                lastChecked: { $first: '$timestamp' },
+                success: { $first: '$success' },
+                responseTime: { $first: '$responseTime' },
+                errorMessage: { $first: '$errorMessage' },
+                totalChecks: { $sum: 1 },
+                successfulChecks: { $sum: { $cond: ['$success', 1, 0] } }
+            }
+        }
+    ]);
     
-    // Map to store scheduled jobs
-    const scheduledJobs = new Map();
+    const locations = monitor.locations.length > 0 ? monitor.locations : DEFAULT_LOCATIONS;
+    
+    return locations.map(location => {
+        const entry = stats.find(stat => stat._id === location);
+        if (!entry) {
+            return { location, status: 'unknown', lastChecked: null, responseTime: null, errorMessage: null, uptime: null, totalChecks: 0 };
+        }
+        
+        return {
+            location,
+            status: entry.success ? 'up' : 'down',
+            lastChecked: entry.lastChecked,
+            responseTime: entry.responseTime,
+            errorMessage: entry.success ? null : entry.errorMessage,
+            uptime: parseFloat((entry.successfulChecks / entry.totalChecks * 100).toFixed(2)),
+            totalChecks: entry.totalChecks
+        };
+    });
+};
+
+/**
+ * Run the check of a monitor once from each of its locations
+ * The checks are stored without changing the monitor's status; the round is down when at
+ * least `quorum` locations fail (all of them if the monitor has fewer locations).
+ * @param {Object} monitor Monitor object
+ * @param {Object} locationInfo Location information
+ * @param {Map} firstChecks Check IDs of the first round by location, for confirmation retries
+ * @returns {Object} { results, isDown } with results as [{ monitorCheck, checkResult }]
+ */
+const runCheckRound = async (monitor, locationInfo = {}, firstChecks = null) => {
+    const locations = monitor.locations.length > 0 ? monitor.locations : DEFAULT_LOCATIONS;
     
-    // Run immediately and then every minute after that
-    setInterval(async () => {
+    const results = await Promise.all(locations.map(async (location) => {
         try {
-            // Get all active monitors
-            const monitors = await Monitor.find({ active: true });
+            // Run the executor registered for the monitor type
+            const checkResult = await performCheck(monitor, location);
             
-            const now = new Date();
-            
-            monitors.forEach(async (monitor) => {
-                // Convert interval from minutes to milliseconds
-                const intervalMs = monitor.interval * 60 * 1000;
-                
-                // Get the last check time for this monitor
-                const lastCheck = await MonitorCheck.findOne({ monitor: monitor._id })
-                    .sort({ createdAt: -1 });
-                
-                const lastCheckTime = lastCheck ? lastCheck.createdAt.getTime() : 0;
-                const timeSinceLastCheck = now.getTime() - lastCheckTime;
-                
-                // Check if it's time to run another check
-                if (timeSinceLastCheck >= intervalMs) {
-                    console.log(`Running scheduled check for ${monitor.name} (${monitor._id})`);
-                    
-                    // For each configured location, run a check
-                    monitor.locations.forEach(async (location) => {
-                        try {
-                            // Determine the check method based on monitor type
-                            let checkResult;
-                            
-                            switch (monitor.type) {
-                                case 'http':
-                                case 'https':
-                                    checkResult = await performHttpCheck(monitor, location);
-                                    break;
-                                case 'dns':
-                                    checkResult = await performDnsCheck(monitor, location);
-                                    break;
-                                case 'ssl':
-                                    checkResult = await performSslCheck(monitor, location);
-                                    break;
-                                case 'tcp':
-                                    checkResult = await performTcpCheck(monitor, location);
-                                    break;
-                                case 'ping':
-                                    checkResult = await performPingCheck(monitor, location);
-                                    break;
-                                default:
-                                    checkResult = await performHttpCheck(monitor, location);
-                            }
-                            
-                            // Process the check result (store, create incidents, etc.)
-                            await processCheckResult(monitor, checkResult, null, { scheduled: true, location });
-                            
-                            console.log(`Completed scheduled check for ${monitor.name} from ${location}`);
-                        } catch (error) {
-                            console.error(`Error performing scheduled check for ${monitor.name} from ${location}:`, error);
-                        }
-                    });
-                }
+            // Store the check (warnings, content changes, etc.); the status is decided by the round
+            const monitorCheck = await processCheckResult(monitor, checkResult, null, {
+                ...locationInfo,
+                location,
+                round: true,
+                confirms: firstChecks ? firstChecks.get(location) : null
             });
+            
+            console.log(`Completed scheduled check for ${monitor.name} from ${location}`);
+            return { monitorCheck, checkResult };
         } catch (error) {
-            console.error('Error in scheduled monitoring checks:', error);
+            console.error(`Error performing scheduled check for ${monitor.name} from ${location}:`, error);
+            return null;
+        }
+    }));
+    
+    const completed = results.filter(Boolean);
+    const failures = completed.filter(result => !result.checkResult.success).length;
+    
+    return {
+        results: completed,
+        isDown: failures > 0 && failures >= Math.min(monitor.quorum, completed.length)
+    };
+};
+
+/**
+ * Run a round of checks and count it towards the monitor's status
+ * While the round disagrees with the monitor's status (a failure on an up monitor, a success
+ * on a down one), the round is retried right away with exponential backoff, up to
+ * confirmation.retries times. Retries are stored as checks linked to the first round.
+ * @param {Object} monitor Monitor object
+ * @param {Object} locationInfo Location information
+ */
+const runConfirmedRound = async (monitor, locationInfo = {}) => {
+    const { retries, backoff } = monitor.confirmation;
+    
+    // During maintenance, or while a parent is down, the round is only stored
+    const maintenance = await findActiveMaintenance(monitor);
+    const dependency = await findDownDependency(monitor);
+    let round = await runCheckRound(monitor, { ...locationInfo, maintenance, dependency });
+    if (maintenance || (dependency && round.isDown)) return;
+    
+    await processStatusChange(monitor, round.results, round.isDown, locationInfo);
+    
+    const firstChecks = new Map(round.results.map(({ monitorCheck }) => [monitorCheck.location, monitorCheck._id]));
+    
+    for (let attempt = 1; attempt <= retries && (round.isDown ? 'down' : 'up') !== monitor.status; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, backoff * 2 ** (attempt - 1)));
+        
+        round = await runCheckRound(monitor, { ...locationInfo, maintenance, dependency, attempt }, firstChecks);
+        await processStatusChange(monitor, round.results, round.isDown, locationInfo);
+    }
+};
+
+/**
+ * Work out how often a monitor is checked right now
+ * Outside active hours checks are paused or use the outside interval; a monitor that is
+ * down or degraded uses its incident interval, unless checks are paused.
+ * @param {Object} monitor Monitor object
+ * @param {Date} date Date to evaluate
+ * @returns {Object} { mode, interval, activeNow, timezone, nextActiveStart } with mode
+ * 'regular', 'incident', 'outside' or 'paused', and a null interval while paused
+ */
+const getCheckFrequency = async (monitor, date = new Date()) => {
+    const { activeHours } = monitor;
+    const frequency = { mode: 'regular', interval: monitor.interval, activeNow: true, timezone: null, nextActiveStart: null };
+    
+    if (activeHours && activeHours.enabled) {
+        const owner = !activeHours.timezone && await User.findById(monitor.owner).select('timezone');
+        frequency.timezone = activeHours.timezone || (owner && owner.timezone) || 'UTC';
+        frequency.activeNow = isWithinActiveHours(activeHours, frequency.timezone, date);
+        
+        if (!frequency.activeNow) {
+            frequency.nextActiveStart = getNextActiveStart(activeHours, frequency.timezone, date);
+            if (!activeHours.outsideInterval) {
+                return { ...frequency, mode: 'paused', interval: null };
+            }
+        }
+    }
+    
+    if (monitor.incidentInterval) {
+        const down = monitor.status === 'down' ||
+            (monitor.status === 'flapping' && monitor.flapping.lastState === 'down');
+        const degraded = !down && await Incident.exists({ monitor: monitor._id, openKey: 'performance' });
+        
+        if (down || degraded) {
+            return { ...frequency, mode: 'incident', interval: monitor.incidentInterval };
+        }
+    }
+    
+    if (!frequency.activeNow) {
+        return { ...frequency, mode: 'outside', interval: activeHours.outsideInterval };
+    }
+    
+    return frequency;
+};
+
+/**
+ * Compute when a monitor should be checked next, following its schedule rules
+ * @param {Object} monitor Monitor object
+ * @param {Date} from Start time of the last check
+ * @returns {Date} Next check time
+ */
+const computeNextCheckAt = async (monitor, from = new Date()) => {
+    const frequency = await getCheckFrequency(monitor, from);
+    if (frequency.mode === 'paused') {
+        return frequency.nextActiveStart;
+    }
+    
+    const nextRunAt = computeNextRunAt({ interval: frequency.interval }, from);
+    
+    // Don't sleep through the start of the active hours
+    return frequency.nextActiveStart && frequency.nextActiveStart < nextRunAt
+        ? frequency.nextActiveStart
+        : nextRunAt;
+};
+
+/**
+ * Run the scheduled check of a monitor from each of its locations
+ * @param {Object} monitor Monitor object (claimed by the scheduler)
+ * @returns {Object} Optional { nextRunAt } overriding the regular interval
+ */
+const runScheduledCheck = async (monitor) => {
+    const checkType = getCheckType(monitor.type);
+    
+    // Push-based monitors (heartbeats) only record a check once a ping is overdue
+    if (checkType && checkType.push) {
+        const checkResult = await performCheck(monitor, monitor.type);
+        if (!checkResult.success && monitor.status !== 'down') {
+            await processCheckResult(monitor, checkResult, null, { scheduled: true, location: monitor.type });
         }
-    }, 60000); // Run every minute
+        return { nextRunAt: checkResult.nextCheckAt };
+    }
+    
+    const startedAt = new Date();
+    const frequency = await getCheckFrequency(monitor, startedAt);
+    if (frequency.mode === 'paused') {
+        console.log(`Skipping scheduled check for ${monitor.name} (${monitor._id}) outside its active hours`);
+        return { nextRunAt: frequency.nextActiveStart };
+    }
+    
+    console.log(`Running scheduled check for ${monitor.name} (${monitor._id})`);
+    
+    // Check from every configured location and decide the status by quorum
+    await runConfirmedRound(monitor, { scheduled: true });
+    
+    // The round may have changed the status, and with it the interval
+    return { nextRunAt: await computeNextCheckAt(monitor, startedAt) };
+};
+
+/**
+ * Give monitors created before checks were leased by region their coverage, due right away
+ * @returns {number} Number of monitors updated
+ */
+const backfillCoverage = async () => {
+    let count = 0;
+    for await (const monitor of Monitor.find({ coverage: { $exists: false } }).cursor()) {
+        monitor.syncCoverage();
+        await Monitor.updateOne(
+            { _id: monitor._id },
+            { $set: { coverage: monitor.toObject().coverage, serverOnly: monitor.hasCredentials() } }
+        );
+        count++;
+    }
+    
+    if (count > 0) {
+        console.log(`Added region coverage to ${count} monitors`);
+    }
+    return count;
+};
+
+/**
+ * Schedule automatic checks for all active monitors
+ * Due monitors are claimed from MongoDB by their schedule.nextRunAt (see services/schedulerService.js)
+ * @returns {Object} Running scheduler
+ */
+const scheduleMonitorChecks = async () => {
+    console.log('Setting up scheduled monitoring checks');
+    
+    await backfillCoverage();
+    
+    if (!scheduler) {
+        scheduler = new SchedulerService(runScheduledCheck);
+        await scheduler.start();
+    }
     
     console.log('Scheduled monitoring checks initialized');
+    return scheduler;
+};
+
+/**
+ * Stop running scheduled checks on this instance
+ * Checks in progress are handed back to the other instances.
+ */
+const stopMonitoring = async () => {
+    if (!scheduler) return;
+    
+    await scheduler.shutdown();
+    scheduler = null;
 };
 
 /**
@@ -1074,11 +2203,21 @@ const initializeMonitoring = async () => {
 
 // Export the functions
 module.exports = {
-    performMonitorCheck,
-    getAvailableMonitors,
+    performAssignedCheck,
+    recordHeartbeat,
+    leaseAssignments,
+    getAssignments,
+    getProbeJobs,
+    submitProbeResult,
+    settleHeldChecks,
     performAdminCheck,
     getMonitorStats,
+    getLocationStatus,
+    validateDependencies,
+    getCheckFrequency,
+    computeNextCheckAt,
     scheduleMonitorChecks,
+    stopMonitoring,
     setWebSocketService,
     initializeMonitoring
 }; 
\ No newline at end of file
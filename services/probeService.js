@@ -0,0 +1,274 @@
+/**
+ * Probe Service - Protocol for remote probes that run checks from their own network
+ *
+ * Probes connect to the /probes Socket.io namespace with a user token, then:
+ * - register ('probe:register') with their region and the check types they can run
+ * - pull check jobs ('probe:pull'), leased to the probe until they expire, and run them locally
+ * - submit results ('probe:result') signed with the probe's Ed25519 key, stored with the
+ *   probe's identity, location and signing key
+ *
+ * probe-client.js is a reference client.
+ */
+
+const jwt = require('jsonwebtoken');
+const { Probe } = require('../Database/module.probe');
+const { probeRegistrationSchema } = require('../utils/validationSchema');
+const { parsePublicKey } = require('../utils/probeSignature');
+const { getCheckType } = require('./checkTypes');
+const monitoringService = require('./monitoringService');
+
+// Monitor settings a probe needs to run a check
+const CHECK_CONFIG_FIELDS = [
+  'name', 'type', 'url', 'port', 'timeout', 'expectedStatusCode', 'redirects',
+  'request', 'assertions', 'steps', 'tcp', 'websocket', 'dns', 'ssl'
+];
+
+/**
+ * Describe a leased check as a job for the probe running it
+ * @param {Object} assignment - Lease of the check
+ * @param {Object} monitor - Monitor to check
+ * @returns {Object} - Job message
+ */
+function serializeJob({ assignment, monitor }) {
+  // Plain objects for maps (e.g. request headers), which Socket.io would send as {};
+  // monitors with credentials are never leased to probes (see the monitor's serverOnly flag)
+  const settings = monitor.toObject({ flattenMaps: true });
+  const config = {};
+  for (const field of CHECK_CONFIG_FIELDS) {
+    if (settings[field] !== undefined) config[field] = settings[field];
+  }
+
+  return {
+    jobId: assignment._id,
+    monitorId: monitor._id,
+    type: monitor.type,
+    region: assignment.region,
+    issuedAt: assignment.leasedAt,
+    expiresAt: assignment.leaseExpiresAt,
+    monitor: {
+      ...config,
+      content: {
+        trackChanges: monitor.content.trackChanges,
+        selector: monitor.content.selector,
+        ignorePatterns: monitor.content.ignorePatterns
+      }
+    }
+  };
+}
+
+class ProbeService {
+  /**
+   * @param {Object} io - Socket.io server (shared with the WebSocket service)
+   */
+  constructor(io) {
+    this.namespace = io.of('/probes');
+    this.probes = new Map(); // probeId -> socketId, for probes connected to this instance
+
+    this.namespace.use((socket, next) => this.authenticate(socket, next));
+    this.namespace.on('connection', (socket) => this.handleConnection(socket));
+
+    console.log('Probe service initialized');
+  }
+
+  /**
+   * Authenticate a probe connection with the token of the user running it
+   * @param {Object} socket - The socket connection
+   * @param {function} next - Socket.io middleware callback
+   */
+  authenticate(socket, next) {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) {
+      return next(new Error('Authorization required'));
+    }
+
+    try {
+      const decoded = jwt.verify(token, process.env.USER_JWT_SECRET);
+      if (decoded.userType !== 'user' || !decoded.userId) {
+        return next(new Error('Token not authorized for probes'));
+      }
+
+      socket.userId = decoded.userId;
+      next();
+    } catch (error) {
+      next(new Error(error.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid token'));
+    }
+  }
+
+  /**
+   * Set up the protocol handlers of a probe connection
+   * @param {Object} socket - The socket connection
+   */
+  handleConnection(socket) {
+    console.log(`Probe connection from user ${socket.userId}: ${socket.id}`);
+
+    socket.on('probe:register', (data) => this.handle(socket, 'probe:register', () => this.handleRegister(socket, data)));
+    socket.on('probe:pull', (data) => this.handle(socket, 'probe:pull', () => this.handlePull(socket, data)));
+    socket.on('probe:result', (data) => this.handleResult(socket, data));
+    socket.on('disconnect', () => this.handleDisconnect(socket));
+  }
+
+  /**
+   * Run a handler and report its errors to the probe
+   * @param {Object} socket - The socket connection
+   * @param {string} eventName - Event being handled
+   * @param {function} handler - Async handler
+   */
+  async handle(socket, eventName, handler) {
+    try {
+      await handler();
+    } catch (error) {
+      console.error(`Error handling ${eventName} from probe ${socket.probeId || socket.id}:`, error.message);
+      socket.emit('probe:error', { event: eventName, error: error.message });
+    }
+  }
+
+  /**
+   * Get the registered probe of a connection and record that it was seen
+   * @param {Object} socket - The socket connection
+   * @returns {Object} - Probe
+   */
+  async getProbe(socket) {
+    if (!socket.probeId) {
+      throw new Error('Probe is not registered');
+    }
+
+    const probe = await Probe.findOneAndUpdate(
+      { _id: socket.probeId, active: true },
+      { $set: { status: 'online', lastSeenAt: new Date() } },
+      { new: true }
+    );
+    if (!probe) {
+      throw new Error('Probe was disabled');
+    }
+
+    return probe;
+  }
+
+  /**
+   * Register a new probe, or reconnect a known one, with its region and capabilities
+   * New probes register their first public key; later keys are added with the key rotation endpoint.
+   * @param {Object} socket - The socket connection
+   * @param {Object} data - { probeId, name, region, publicKey, capabilities, version, city, country }
+   */
+  async handleRegister(socket, data) {
+    const validation = probeRegistrationSchema.safeParse(data || {});
+    if (!validation.success) {
+      const errors = validation.error.errors.map(err => `${err.path.join('.')}: ${err.message}`);
+      throw new Error(`Invalid registration: ${errors.join(', ')}`);
+    }
+
+    const { probeId, name, region, publicKey, capabilities = [], version, city, country } = validation.data;
+    const key = publicKey ? parsePublicKey(publicKey) : null;
+
+    let probe = null;
+    if (probeId) {
+      probe = await Probe.findOne({ _id: probeId, owner: socket.userId });
+      if (!probe) {
+        throw new Error('Probe not found');
+      }
+      if (!probe.active) {
+        throw new Error('Probe was disabled');
+      }
+      if (key && !probe.keys.some(existing => existing.keyId === key.keyId && existing.status === 'active')) {
+        throw new Error('Public key is not an active key of this probe');
+      }
+    } else {
+      if (!key) {
+        throw new Error('New probes must register an Ed25519 public key');
+      }
+      probe = new Probe({ owner: socket.userId, name: name || `${region} probe`, keys: [key] });
+    }
+
+    const now = new Date();
+    if (name) probe.name = name;
+    probe.region = region;
+    // Push-based types (heartbeats) can't be run by a probe
+    probe.capabilities = [...new Set(capabilities)].filter(type => {
+      const checkType = getCheckType(type);
+      return checkType && !checkType.push;
+    });
+    probe.version = version || null;
+    probe.city = city || null;
+    probe.country = country || null;
+    probe.ip = socket.handshake.address;
+    probe.status = 'online';
+    probe.connectedAt = now;
+    probe.lastSeenAt = now;
+    await probe.save();
+
+    socket.probeId = probe._id.toString();
+    this.probes.set(socket.probeId, socket.id);
+
+    socket.emit('probe:registered', {
+      probeId: probe._id,
+      name: probe.name,
+      region: probe.region,
+      capabilities: probe.capabilities,
+      keys: probe.keys.filter(existing => existing.status === 'active').map(existing => existing.keyId)
+    });
+
+    console.log(`Probe ${probe.name} (${probe._id}) registered in ${probe.region}`);
+  }
+
+  /**
+   * Lease check jobs to a probe, up to the number of leases a probe may hold at once
+   * @param {Object} socket - The socket connection
+   * @param {Object} data - { max } maximum number of jobs
+   */
+  async handlePull(socket, data) {
+    const probe = await this.getProbe(socket);
+    const max = data && Number.isInteger(data.max) && data.max > 0 ? data.max : undefined;
+
+    const jobs = await monitoringService.getProbeJobs(probe, max);
+
+    socket.emit('probe:jobs', { jobs: jobs.map(serializeJob) });
+  }
+
+  /**
+   * Accept the signed result of a job run by a probe
+   * @param {Object} socket - The socket connection
+   * @param {Object} data - { jobId, monitorId, timestamp, result, keyId, signature }
+   */
+  async handleResult(socket, data) {
+    const jobId = data && data.jobId;
+
+    try {
+      const probe = await this.getProbe(socket);
+      const monitorCheck = await monitoringService.submitProbeResult(probe, data);
+
+      socket.emit('probe:result:accepted', {
+        jobId,
+        checkId: monitorCheck._id,
+        success: monitorCheck.success
+      });
+    } catch (error) {
+      console.error(`Rejected result for job ${jobId} from probe ${socket.probeId || socket.id}:`, error.message);
+      socket.emit('probe:result:rejected', { jobId, error: error.message });
+    }
+  }
+
+  /**
+   * Mark a probe offline when its connection closes
+   * @param {Object} socket - The socket that disconnected
+   */
+  async handleDisconnect(socket) {
+    if (!socket.probeId) return;
+
+    // A reconnect may already have replaced this connection
+    if (this.probes.get(socket.probeId) !== socket.id) return;
+    this.probes.delete(socket.probeId);
+
+    try {
+      await Probe.updateOne(
+        { _id: socket.probeId },
+        { $set: { status: 'offline', lastSeenAt: new Date() } }
+      );
+    } catch (error) {
+      console.error('Error marking probe offline:', error);
+    }
+
+    console.log(`Probe ${socket.probeId} disconnected`);
+  }
+}
+
+module.exports = ProbeService;
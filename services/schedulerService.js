@@ -0,0 +1,275 @@
+/**
+ * Scheduler Service - Runs monitor checks from the nextRunAt stored on each monitor
+ *
+ * This service provides:
+ * - Atomic claiming of due monitors with an expiring lease, so any number of
+ *   instances can share the work and a crashed instance's checks fail over
+ * - Jittered rescheduling so checks spread out over time
+ * - Global and per-host concurrency limits
+ * - Catch-up after downtime without replaying every missed run
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { Monitor } = require('../Database/module.monitor');
+const { getCheckTarget } = require('./checkTypes/target');
+
+const DEFAULT_OPTIONS = {
+  concurrency: parseInt(process.env.SCHEDULER_CONCURRENCY) || 20, // checks running at once on this instance
+  hostConcurrency: parseInt(process.env.SCHEDULER_HOST_CONCURRENCY) || 2, // checks against one host at once
+  pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 1000,
+  leaseDuration: parseInt(process.env.SCHEDULER_LEASE_MS) || 60 * 1000, // a crashed instance's checks are retried after this
+  renewInterval: parseInt(process.env.SCHEDULER_RENEW_INTERVAL_MS) || 20 * 1000, // running checks keep their lease alive
+  jitterRatio: 0.1, // up to 10% of the interval...
+  maxJitter: 30 * 1000, // ...but never more than 30 seconds
+  hostRetryDelay: 5000 // delay for monitors whose host is busy
+};
+
+/**
+ * Compute when a monitor should run next
+ * Runs are scheduled from the time the last one started, so a monitor that
+ * was overdue (e.g. after downtime) runs once and then resumes its cadence.
+ * @param {Object} monitor - Monitor document
+ * @param {Date} from - Start time of the last run
+ * @param {Object} options - Jitter options
+ * @returns {Date} - Next run time
+ */
+function computeNextRunAt(monitor, from = new Date(), options = DEFAULT_OPTIONS) {
+  const intervalMs = monitor.interval * 1000;
+  const jitter = Math.random() * Math.min(intervalMs * options.jitterRatio, options.maxJitter);
+  return new Date(from.getTime() + intervalMs + jitter);
+}
+
+/**
+ * Get the host a monitor checks, used for per-host concurrency
+ * @param {Object} monitor - Monitor document
+ * @returns {string} - Host name
+ */
+function getMonitorHost(monitor) {
+  return String(getCheckTarget(monitor, 0).hostname || monitor.url).toLowerCase();
+}
+
+class SchedulerService {
+  /**
+   * @param {Function} runJob - async (monitor) => optional { nextRunAt } override
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(runJob, options = {}) {
+    this.runJob = runJob;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    this.running = new Set(); // monitor IDs running on this instance
+    this.hostCounts = new Map(); // host -> checks running against it
+    this.timer = null;
+    this.renewTimer = null;
+    this.claiming = false;
+  }
+
+  /**
+   * Start polling for due monitors
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.backfillSchedules();
+
+    this.timer = setInterval(() => this.fill(), this.options.pollInterval);
+    this.renewTimer = setInterval(() => this.renewLeases(), this.options.renewInterval);
+    this.fill();
+
+    console.log(`Scheduler ${this.instanceId} started (concurrency ${this.options.concurrency}, per host ${this.options.hostConcurrency})`);
+  }
+
+  /**
+   * Stop claiming new checks; running checks finish and release their lease
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    // Running checks keep renewing their lease until they finish
+    if (this.running.size === 0) {
+      clearInterval(this.renewTimer);
+      this.renewTimer = null;
+    }
+  }
+
+  /**
+   * Stop and hand the checks running on this instance back, so other instances run them right away
+   */
+  async shutdown() {
+    this.stop();
+    clearInterval(this.renewTimer);
+    this.renewTimer = null;
+
+    if (this.running.size === 0) return;
+
+    await Monitor.updateMany(
+      { _id: { $in: [...this.running] }, 'schedule.leaseOwner': this.instanceId },
+      { $set: { 'schedule.nextRunAt': new Date(), 'schedule.leaseOwner': null, 'schedule.leaseExpiresAt': null } }
+    );
+  }
+
+  /**
+   * Extend the leases of checks running on this instance
+   * Long checks keep their monitor; if this instance dies the leases expire and others take over.
+   */
+  async renewLeases() {
+    if (this.running.size === 0) return;
+
+    try {
+      const result = await Monitor.updateMany(
+        { _id: { $in: [...this.running] }, 'schedule.leaseOwner': this.instanceId },
+        { $set: { 'schedule.leaseExpiresAt': new Date(Date.now() + this.options.leaseDuration) } }
+      );
+
+      if (result.matchedCount < this.running.size) {
+        console.warn(`Scheduler ${this.instanceId} lost the lease of ${this.running.size - result.matchedCount} running checks`);
+      }
+    } catch (error) {
+      console.error('Error renewing scheduler leases:', error);
+    }
+  }
+
+  /**
+   * Give monitors created before the scheduler existed a first run spread over the next minute
+   */
+  async backfillSchedules() {
+    const result = await Monitor.updateMany(
+      { 'schedule.nextRunAt': null },
+      [{
+        $set: {
+          'schedule.nextRunAt': {
+            $add: ['$$NOW', { $multiply: [{ $rand: {} }, 60 * 1000] }]
+          }
+        }
+      }]
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`Scheduled first run for ${result.modifiedCount} monitors`);
+    }
+  }
+
+  /**
+   * Atomically claim the most overdue monitor that isn't leased
+   * @returns {Object|null} - Claimed monitor
+   */
+  async claim() {
+    const now = new Date();
+
+    return Monitor.findOneAndUpdate(
+      {
+        active: true,
+        'schedule.nextRunAt': { $lte: now },
+        $or: [
+          { 'schedule.leaseExpiresAt': null },
+          { 'schedule.leaseExpiresAt': { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          'schedule.leaseOwner': this.instanceId,
+          'schedule.leaseExpiresAt': new Date(now.getTime() + this.options.leaseDuration)
+        }
+      },
+      { sort: { 'schedule.nextRunAt': 1 }, new: true }
+    );
+  }
+
+  /**
+   * Release a claimed monitor and store its next run time
+   * @param {Object} monitor - Claimed monitor
+   * @param {Date} nextRunAt - Next run time
+   * @param {Date} lastRunAt - Start time of the run, if it ran
+   */
+  async release(monitor, nextRunAt, lastRunAt = null) {
+    await Monitor.updateOne(
+      { _id: monitor._id, 'schedule.leaseOwner': this.instanceId },
+      {
+        $set: {
+          'schedule.nextRunAt': nextRunAt,
+          'schedule.leaseOwner': null,
+          'schedule.leaseExpiresAt': null,
+          ...(lastRunAt && { 'schedule.lastRunAt': lastRunAt })
+        }
+      }
+    );
+  }
+
+  /**
+   * Claim due monitors until the concurrency limit is reached
+   */
+  async fill() {
+    if (this.claiming || !this.timer) return;
+    this.claiming = true;
+
+    try {
+      while (this.timer && this.running.size < this.options.concurrency) {
+        const monitor = await this.claim();
+        if (!monitor) break;
+
+        const host = getMonitorHost(monitor);
+        if ((this.hostCounts.get(host) || 0) >= this.options.hostConcurrency) {
+          // Host is busy: try again shortly instead of piling up requests
+          await this.release(monitor, new Date(Date.now() + this.options.hostRetryDelay));
+          continue;
+        }
+
+        this.execute(monitor, host);
+      }
+    } catch (error) {
+      console.error('Error claiming scheduled checks:', error);
+    } finally {
+      this.claiming = false;
+    }
+  }
+
+  /**
+   * Run a claimed monitor and reschedule it
+   * @param {Object} monitor - Claimed monitor
+   * @param {string} host - Host the monitor checks
+   */
+  async execute(monitor, host) {
+    const id = monitor._id.toString();
+    const startedAt = new Date();
+    let result = null;
+
+    this.running.add(id);
+    this.hostCounts.set(host, (this.hostCounts.get(host) || 0) + 1);
+
+    try {
+      result = await this.runJob(monitor);
+    } catch (error) {
+      console.error(`Error running scheduled check for ${monitor.name}:`, error);
+    } finally {
+      this.running.delete(id);
+      const remaining = this.hostCounts.get(host) - 1;
+      if (remaining > 0) {
+        this.hostCounts.set(host, remaining);
+      } else {
+        this.hostCounts.delete(host);
+      }
+    }
+
+    try {
+      const nextRunAt = (result && result.nextRunAt) || computeNextRunAt(monitor, startedAt, this.options);
+      await this.release(monitor, nextRunAt, startedAt);
+    } catch (error) {
+      console.error(`Error rescheduling ${monitor.name}:`, error);
+    }
+
+    if (!this.timer && this.running.size === 0) {
+      clearInterval(this.renewTimer);
+      this.renewTimer = null;
+    }
+
+    this.fill();
+  }
+}
+
+module.exports = {
+  SchedulerService,
+  computeNextRunAt
+};
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const emailService = require('../utils/emailService');
+
+test('monitor alerts escape the reason and failed rules taken from responses', async (t) => {
+  const sent = [];
+  t.mock.method(emailService, 'sendEmail', async (email) => {
+    sent.push(email);
+    return true;
+  });
+
+  const payload = '<a href="https://evil.example">Click here</a>';
+  await emailService.sendMonitorAlert({
+    email: 'owner@example.com',
+    monitorName: 'Homepage',
+    websiteName: 'Example',
+    status: 'down',
+    url: 'https://example.com',
+    reason: `Unexpected body ${payload}`,
+    failedRules: [`Body should contain "ok", got ${payload}`]
+  });
+
+  const { html } = sent[0];
+  assert.ok(!html.includes('<a href="https://evil.example">'));
+  assert.ok(html.includes('&lt;a href=&quot;https://evil.example&quot;&gt;Click here&lt;/a&gt;'));
+  assert.ok(html.includes('<li>Body should contain &quot;ok&quot;, got &lt;a href='));
+});
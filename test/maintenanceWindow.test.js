@@ -0,0 +1,48 @@
+// Occurrences must not depend on the server's timezone
+process.env.TZ = 'America/Los_Angeles';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getOccurrenceAt, getUpcomingOccurrences } = require('../utils/maintenanceWindow');
+
+test('RRULE windows start at the wall-clock time of their timezone', () => {
+  const window = {
+    recurrence: 'rrule',
+    rule: 'FREQ=WEEKLY;BYDAY=TU;BYHOUR=2;BYMINUTE=0',
+    timezone: 'Europe/Berlin',
+    duration: 60
+  };
+
+  const starts = getUpcomingOccurrences(window, new Date('2026-10-19T12:00:00Z'), 3)
+    .map(occurrence => occurrence.start.toISOString());
+
+  // Europe/Berlin leaves summer time on 2026-10-25
+  assert.deepStrictEqual(starts, [
+    '2026-10-20T00:00:00.000Z',
+    '2026-10-27T01:00:00.000Z',
+    '2026-11-03T01:00:00.000Z'
+  ]);
+  assert.ok(getOccurrenceAt(window, new Date('2026-10-20T00:30:00Z')));
+  assert.strictEqual(getOccurrenceAt(window, new Date('2026-10-19T17:30:00Z')), null);
+});
+
+test('RRULE windows with a DTSTART;TZID follow daylight saving time', () => {
+  const window = {
+    recurrence: 'rrule',
+    rule: 'DTSTART;TZID=America/New_York:20261001T230000\nRRULE:FREQ=DAILY',
+    timezone: 'America/New_York',
+    duration: 30
+  };
+
+  const starts = getUpcomingOccurrences(window, new Date('2026-10-31T12:00:00Z'), 2)
+    .map(occurrence => occurrence.start.toISOString());
+
+  assert.deepStrictEqual(starts, ['2026-11-01T03:00:00.000Z', '2026-11-02T04:00:00.000Z']);
+});
+
+test('cron windows start at the wall-clock time of their timezone', () => {
+  const window = { recurrence: 'cron', rule: '0 2 * * 2', timezone: 'Europe/Berlin', duration: 60 };
+
+  const [next] = getUpcomingOccurrences(window, new Date('2026-10-19T12:00:00Z'), 1);
+  assert.strictEqual(next.start.toISOString(), '2026-10-20T00:00:00.000Z');
+});
@@ -0,0 +1,64 @@
+/**
+ * Utility to evaluate the active hours of a monitor (e.g. business hours in the
+ * owner's timezone), built on the recurring maintenance window evaluation
+ */
+
+const { getOccurrenceAt, getUpcomingOccurrences } = require('./maintenanceWindow');
+
+/**
+ * Convert a HH:mm time to minutes since midnight
+ * @param {string} time - HH:mm time
+ * @returns {number} - Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Describe active hours as a recurring window starting on each active day
+ * Hours ending before they start run past midnight; equal start and end cover the whole day.
+ * @param {Object} activeHours - Active hours settings of a monitor
+ * @param {string} timezone - IANA timezone the hours are in
+ * @returns {Object} - Window accepted by the maintenance window helpers
+ */
+function toWindow(activeHours, timezone) {
+  const start = toMinutes(activeHours.start);
+  const duration = (toMinutes(activeHours.end) - start + 24 * 60) % (24 * 60) || 24 * 60;
+
+  return {
+    recurrence: 'cron',
+    rule: `${start % 60} ${Math.floor(start / 60)} * * ${[...new Set(activeHours.days)].sort().join(',')}`,
+    duration,
+    timezone
+  };
+}
+
+/**
+ * Check whether a date falls within active hours
+ * @param {Object} activeHours - Active hours settings of a monitor
+ * @param {string} timezone - IANA timezone the hours are in
+ * @param {Date} date - Date to evaluate
+ * @returns {boolean} - True within active hours
+ */
+function isWithinActiveHours(activeHours, timezone, date = new Date()) {
+  return Boolean(getOccurrenceAt(toWindow(activeHours, timezone), date));
+}
+
+/**
+ * Get the next time active hours start
+ * @param {Object} activeHours - Active hours settings of a monitor
+ * @param {string} timezone - IANA timezone the hours are in
+ * @param {Date} date - Date to search from
+ * @returns {Date|null} - Start of the next active period
+ */
+function getNextActiveStart(activeHours, timezone, date = new Date()) {
+  const window = toWindow(activeHours, timezone);
+  const next = getUpcomingOccurrences(window, date, 2).find(occurrence => occurrence.start > date);
+  return next ? next.start : null;
+}
+
+module.exports = {
+  isWithinActiveHours,
+  getNextActiveStart
+};
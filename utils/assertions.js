@@ -0,0 +1,182 @@
+/**
+ * Utility to evaluate response assertions configured on HTTP monitors
+ */
+
+/**
+ * Convert a pattern string into a regular expression
+ * Accepts "/pattern/flags" or a bare pattern
+ * @param {string} pattern - Pattern string
+ * @returns {RegExp} - Regular expression
+ */
+function toRegExp(pattern) {
+  const match = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(pattern);
+}
+
+/**
+ * Check whether a value is written as a /regex/ pattern
+ * @param {string} value - Value to inspect
+ * @returns {boolean} - True if the value is a pattern
+ */
+function isPattern(value) {
+  return /^\/(.+)\/([a-z]*)$/.test(String(value));
+}
+
+/**
+ * Split a JSONPath expression into its segments
+ * Supports $.a.b, $['a'], $.items[0] and the * wildcard
+ * @param {string} path - JSONPath expression
+ * @returns {Array} - Path segments
+ */
+function parseJsonPath(path) {
+  const segments = [];
+  const expression = String(path).trim().replace(/^\$/, '');
+  const tokenizer = /\.([^.[\]]+)|\[\s*(\d+|\*)\s*\]|\[\s*['"]([^'"]+)['"]\s*\]/g;
+  let consumed = 0;
+  let token;
+
+  while ((token = tokenizer.exec(expression)) !== null) {
+    if (token.index !== consumed) break;
+    segments.push(token[1] !== undefined ? token[1] : token[2] !== undefined ? token[2] : token[3]);
+    consumed = tokenizer.lastIndex;
+  }
+
+  if (consumed !== expression.length) {
+    throw new Error(`Invalid JSONPath expression: ${path}`);
+  }
+
+  return segments;
+}
+
+/**
+ * Evaluate a JSONPath expression against a parsed JSON document
+ * @param {*} document - Parsed JSON
+ * @param {string} path - JSONPath expression
+ * @returns {Array} - Matched values
+ */
+function queryJsonPath(document, path) {
+  let current = [document];
+
+  for (const segment of parseJsonPath(path)) {
+    const next = [];
+
+    for (const value of current) {
+      if (value === null || typeof value !== 'object') continue;
+
+      if (segment === '*') {
+        next.push(...Object.values(value));
+      } else if (Object.prototype.hasOwnProperty.call(value, segment)) {
+        next.push(value[segment]);
+      }
+    }
+
+    current = next;
+  }
+
+  return current;
+}
+
+/**
+ * Render a value for comparison and display
+ * @param {*} value - Any JSON value
+ * @returns {string} - String representation
+ */
+function stringify(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Evaluate a single assertion against a response
+ * @param {Object} assertion - Assertion configured on the monitor
+ * @param {Object} response - Response data
+ * @param {string} response.body - Response body as text
+ * @param {number} response.size - Response size in bytes
+ * @returns {Object} - Assertion result
+ */
+function evaluateAssertion(assertion, { body, size }) {
+  const { type, path = null, operator = 'equals', value = null } = assertion;
+  const result = { type, path, operator, expected: value, actual: null, passed: false, message: null };
+
+  try {
+    switch (type) {
+      case 'contains':
+        result.passed = body.includes(value);
+        result.message = result.passed ? null : `Body does not contain "${value}"`;
+        break;
+
+      case 'notContains':
+        result.passed = !body.includes(value);
+        result.message = result.passed ? null : `Body contains "${value}"`;
+        break;
+
+      case 'regex':
+        result.passed = toRegExp(value).test(body);
+        result.message = result.passed ? null : `Body does not match ${value}`;
+        break;
+
+      case 'maxSize':
+        result.actual = String(size);
+        result.passed = size <= Number(value);
+        result.message = result.passed ? null : `Response size ${size} bytes exceeds ${value} bytes`;
+        break;
+
+      case 'jsonPath': {
+        let document;
+        try {
+          document = JSON.parse(body);
+        } catch (error) {
+          result.message = `Response is not valid JSON (checking ${path})`;
+          break;
+        }
+
+        const matches = queryJsonPath(document, path);
+
+        if (operator === 'exists') {
+          result.actual = String(matches.length);
+          result.passed = matches.length > 0;
+          result.message = result.passed ? null : `${path} does not exist`;
+        } else {
+          result.actual = matches.length > 0 ? stringify(matches[0]) : null;
+          result.passed = matches.length > 0 && (isPattern(value)
+            ? toRegExp(value).test(result.actual)
+            : result.actual === String(value));
+          result.message = result.passed
+            ? null
+            : `${path} expected ${value}, got ${result.actual === null ? 'nothing' : result.actual}`;
+        }
+        break;
+      }
+
+      default:
+        result.message = `Unknown assertion type: ${type}`;
+    }
+  } catch (error) {
+    result.passed = false;
+    result.message = `Assertion error: ${error.message}`;
+  }
+
+  // Keep stored values bounded
+  if (result.actual && result.actual.length > 500) {
+    result.actual = `${result.actual.slice(0, 500)}...`;
+  }
+
+  return result;
+}
+
+/**
+ * Evaluate all assertions configured on a monitor
+ * @param {Array} assertions - Assertions configured on the monitor
+ * @param {Object} response - Response data ({ body, size })
+ * @returns {Array} - Assertion results
+ */
+function evaluateAssertions(assertions = [], response) {
+  return assertions.map(assertion => evaluateAssertion(assertion, response));
+}
+
+module.exports = {
+  toRegExp,
+  isPattern,
+  queryJsonPath,
+  evaluateAssertion,
+  evaluateAssertions
+};
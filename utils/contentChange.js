@@ -0,0 +1,168 @@
+/**
+ * Utility to snapshot page content and describe how it changed between checks
+ */
+
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { toRegExp } = require('./assertions');
+
+// Keep stored snapshots and diffs bounded
+const MAX_SNAPSHOT_LENGTH = 100000;
+const MAX_DIFF_LINES = 500;
+
+// Largest line-by-line comparison table computed before falling back to a block replacement
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Normalize a response body into comparable text
+ * @param {string} body - Response body
+ * @param {Object} options - Content settings configured on the monitor
+ * @param {string} options.selector - Optional CSS selector to scope the comparison
+ * @param {Array} options.ignorePatterns - Regexes whose matches are removed (e.g. timestamps)
+ * @returns {string} - Normalized text, one trimmed line per non-empty line
+ */
+function normalizeContent(body, { selector = null, ignorePatterns = [] } = {}) {
+  let text = String(body || '');
+
+  if (selector) {
+    const $ = cheerio.load(text);
+    text = $(selector)
+      .map((index, element) => $(element).text())
+      .get()
+      .join('\n');
+  }
+
+  for (const pattern of ignorePatterns) {
+    const regex = toRegExp(pattern);
+    const flags = regex.flags.includes('g') ? regex.flags : `${regex.flags}g`;
+    text = text.replace(new RegExp(regex.source, flags), '');
+  }
+
+  return text
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line.length > 0)
+    .join('\n')
+    .slice(0, MAX_SNAPSHOT_LENGTH);
+}
+
+/**
+ * Hash normalized content
+ * @param {string} content - Normalized text
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Compute a line diff between two snapshots
+ * @param {string} previous - Previous snapshot
+ * @param {string} current - Current snapshot
+ * @returns {string} - Diff text with "+ " and "- " prefixed lines
+ */
+function diffContent(previous, current) {
+  const before = previous ? previous.split('\n') : [];
+  const after = current ? current.split('\n') : [];
+
+  // Skip the unchanged head and tail
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const removed = before.slice(start, endBefore);
+  const added = after.slice(start, endAfter);
+  const lines = [];
+
+  if (removed.length * added.length > MAX_DIFF_CELLS) {
+    removed.forEach(line => lines.push(`- ${line}`));
+    added.forEach(line => lines.push(`+ ${line}`));
+  } else {
+    // Longest common subsequence of the changed region
+    const table = Array.from({ length: removed.length + 1 }, () => new Uint32Array(added.length + 1));
+    for (let i = removed.length - 1; i >= 0; i--) {
+      for (let j = added.length - 1; j >= 0; j--) {
+        table[i][j] = removed[i] === added[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < removed.length || j < added.length) {
+      if (i < removed.length && j < added.length && removed[i] === added[j]) {
+        lines.push(`  ${removed[i]}`);
+        i++;
+        j++;
+      } else if (i < removed.length && (j === added.length || table[i + 1][j] >= table[i][j + 1])) {
+        lines.push(`- ${removed[i]}`);
+        i++;
+      } else {
+        lines.push(`+ ${added[j]}`);
+        j++;
+      }
+    }
+  }
+
+  if (lines.length > MAX_DIFF_LINES) {
+    const omitted = lines.length - MAX_DIFF_LINES;
+    lines.length = MAX_DIFF_LINES;
+    lines.push(`... ${omitted} more lines`);
+  }
+
+  return [`@@ line ${start + 1} @@`, ...lines].join('\n');
+}
+
+/**
+ * Pick the content settings a client may set (the stored snapshot is managed by the server)
+ * @param {Object} content - Submitted content settings
+ * @param {Object} current - Stored content settings
+ * @returns {Object} - Content settings to store
+ * @throws {Error} - When an ignore pattern is not a valid regex
+ */
+function pickContentSettings(content = {}, current = {}) {
+  const ignorePatterns = content.ignorePatterns !== undefined
+    ? [].concat(content.ignorePatterns || []).map(String)
+    : current.ignorePatterns || [];
+
+  for (const pattern of ignorePatterns) {
+    try {
+      toRegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid ignore pattern: ${pattern}`);
+    }
+  }
+
+  const settings = {
+    trackChanges: content.trackChanges !== undefined ? Boolean(content.trackChanges) : Boolean(current.trackChanges),
+    selector: content.selector !== undefined ? content.selector || null : current.selector || null,
+    ignorePatterns
+  };
+
+  // Changing what is compared starts a new baseline
+  const scopeChanged = settings.selector !== (current.selector || null) ||
+    settings.ignorePatterns.join('\n') !== (current.ignorePatterns || []).join('\n');
+
+  return {
+    ...settings,
+    hash: scopeChanged ? null : current.hash || null,
+    snapshot: scopeChanged ? null : current.snapshot || null,
+    changedAt: current.changedAt || null
+  };
+}
+
+module.exports = {
+  normalizeContent,
+  hashContent,
+  diffContent,
+  pickContentSettings
+};
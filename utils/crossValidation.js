@@ -0,0 +1,128 @@
+/**
+ * Utility to cross-validate a probe's check result against other checks of the same
+ * monitor, and to keep the reputation score of probes from the outcome
+ */
+
+// Combined weight of the references needed to reach a verdict (one server-side check)
+const MIN_REFERENCE_WEIGHT = 1;
+
+// Share of the reference weight that must agree with a result
+const MIN_AGREEMENT = 0.5;
+
+// Response times are only compared within a location, and only far-off values are outliers
+const MAX_RESPONSE_TIME_RATIO = 5;
+const MIN_RESPONSE_TIME_DIFFERENCE = 1000;
+
+// Reputation of a new probe, and how far one verdict moves it (outliers weigh more)
+const INITIAL_REPUTATION = 50;
+const AGREED_FACTOR = 0.05;
+const OUTLIER_FACTOR = 0.2;
+
+/**
+ * Sum the weights of checks
+ * @param {Array} checks - Checks with a weight
+ * @returns {number} - Total weight
+ */
+function totalWeight(checks) {
+  return checks.reduce((sum, check) => sum + check.weight, 0);
+}
+
+/**
+ * Compute the median of numbers
+ * @param {Array} values - Numbers
+ * @returns {number} - Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Check whether a reference saw the same outcome as a result
+ * @param {Object} check - Result being validated
+ * @param {Object} reference - Reference check
+ * @returns {string|null} - 'outcome' or 'statusCode' when they disagree
+ */
+function compareOutcome(check, reference) {
+  if (check.success !== reference.success) return 'outcome';
+  if (check.statusCode != null && reference.statusCode != null && check.statusCode !== reference.statusCode) {
+    return 'statusCode';
+  }
+  return null;
+}
+
+/**
+ * Cross-validate a result against reference checks run around the same time
+ * References from the result's location are preferred when they carry enough weight,
+ * so an outage seen from one region isn't mistaken for a fake result.
+ * @param {Object} check - Result being validated: { success, statusCode, responseTime, location }
+ * @param {Array} references - Reference checks: { success, statusCode, responseTime, location, weight }
+ * @returns {Object} - { verdict, agreement, references, reasons } with verdict 'agreed',
+ * 'outlier' or 'insufficient' (not enough references yet)
+ */
+function crossValidate(check, references) {
+  const local = references.filter(reference => reference.location === check.location);
+  const sameLocation = totalWeight(local) >= MIN_REFERENCE_WEIGHT;
+  const pool = sameLocation ? local : references;
+
+  const weight = totalWeight(pool);
+  if (weight < MIN_REFERENCE_WEIGHT) {
+    return { verdict: 'insufficient', agreement: null, references: pool.length, reasons: [] };
+  }
+
+  const disagreements = new Map();
+  let agreeing = 0;
+  for (const reference of pool) {
+    const reason = compareOutcome(check, reference);
+    if (reason) {
+      disagreements.set(reason, (disagreements.get(reason) || 0) + reference.weight);
+    } else {
+      agreeing += reference.weight;
+    }
+  }
+
+  const agreement = agreeing / weight;
+  const reasons = agreement < MIN_AGREEMENT ? [...disagreements.keys()] : [];
+
+  if (sameLocation && check.success && Number.isFinite(check.responseTime)) {
+    const times = pool
+      .filter(reference => reference.success && Number.isFinite(reference.responseTime))
+      .map(reference => reference.responseTime);
+
+    if (times.length > 0) {
+      const expected = median(times);
+      const ratio = Math.max(check.responseTime, 1) / Math.max(expected, 1);
+      if ((ratio > MAX_RESPONSE_TIME_RATIO || ratio < 1 / MAX_RESPONSE_TIME_RATIO) &&
+          Math.abs(check.responseTime - expected) > MIN_RESPONSE_TIME_DIFFERENCE) {
+        reasons.push('responseTime');
+      }
+    }
+  }
+
+  return {
+    verdict: reasons.length > 0 ? 'outlier' : 'agreed',
+    agreement,
+    references: pool.length,
+    reasons
+  };
+}
+
+/**
+ * Move a probe's reputation score towards 100 after an agreed result, towards 0 after an outlier
+ * @param {number} score - Current score (0-100)
+ * @param {string} verdict - 'agreed' or 'outlier'
+ * @returns {number} - New score
+ */
+function updateReputation(score, verdict) {
+  const current = Number.isFinite(score) ? score : INITIAL_REPUTATION;
+  const next = verdict === 'agreed'
+    ? current + (100 - current) * AGREED_FACTOR
+    : current - current * OUTLIER_FACTOR;
+  return Math.round(next * 100) / 100;
+}
+
+module.exports = {
+  crossValidate,
+  updateReputation
+};
@@ -1,5 +1,19 @@
 const nodemailer = require('nodemailer');
 
+/**
+ * Escape text for use in an HTML email body
+ * @param {string} value - Text, possibly taken from a monitored response
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Email service for sending notifications and alerts
  */
@@ -225,12 +239,14 @@ class EmailService {
    * @param {string} options.status - Current status of the monitor
    * @param {string} options.url - URL being monitored
    * @param {string} options.reason - Reason for the alert
+   * @param {Array} options.failedRules - Assertion rules that failed (optional)
    * @param {Object} options.location - Location details where the check was performed
    * @param {boolean} options.isOwner - Whether the recipient is the website owner
    * @returns {Promise<boolean>} - Success status
    */
-  async sendMonitorAlert({ email, monitorName, websiteName, status, url, reason, location = {}, isOwner = false }) {
+  async sendMonitorAlert({ email, monitorName, websiteName, status, url, reason, failedRules = [], location = {}, isOwner = false }) {
     const statusText = status.toUpperCase();
+    const statusColor = status === 'down' || status === 'degraded' ? '#e53e3e' : status === 'warning' || status === 'flapping' ? '#dd6b20' : '#38a169';
     const subject = isOwner
       ? `[URGENT] Your Website ${websiteName} is ${statusText}!`
       : `[ALERT] ${websiteName} Monitor Status: ${statusText}`;
@@ -250,7 +266,7 @@ class EmailService {
       Monitor Name: ${monitorName}
       URL: ${url}
       Reason: ${reason}
-      
+      ${failedRules.length > 0 ? `Failed rules:\n      ${failedRules.map(rule => `- ${rule}`).join('\n      ')}\n` : ''}
       Check performed from:
       ${locationInfo}
       
@@ -262,16 +278,20 @@ class EmailService {
     
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: ${status === 'down' ? '#e53e3e' : '#38a169'};">
+        <h2 style="color: ${statusColor};">
           ${isOwner ? '⚠️ URGENT ALERT' : 'Monitor Alert'} for ${websiteName}
         </h2>
-        <p style="font-weight: bold; color: ${status === 'down' ? '#e53e3e' : '#38a169'};">
+        <p style="font-weight: bold; color: ${statusColor};">
           Status: ${statusText}
         </p>
         <div style="margin: 20px 0; border: 1px solid #e2e8f0; border-radius: 5px; padding: 15px;">
           <p><strong>Monitor Name:</strong> ${monitorName}</p>
           <p><strong>URL:</strong> <a href="${url}" target="_blank">${url}</a></p>
-          <p><strong>Reason:</strong> ${reason}</p>
+          <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+          ${failedRules.length > 0 ? `
+          <p><strong>Failed rules:</strong></p>
+          <ul>${failedRules.map(rule => `<li>${escapeHtml(rule)}</li>`).join('')}</ul>
+          ` : ''}
           <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
         </div>
         
@@ -0,0 +1,211 @@
+/**
+ * Utility to evaluate maintenance windows: one-off (start/end) or recurring
+ * (cron expression or RRULE) with a duration, evaluated in the window's timezone
+ */
+
+const { CronExpressionParser } = require('cron-parser');
+const { rrulestr } = require('rrule');
+
+/**
+ * Check whether a timezone name is known (e.g. "Europe/Berlin")
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} - True if the timezone is valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the offset of a timezone from UTC at a date
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} date - Date to evaluate
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(timezone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a date to a floating date: UTC fields holding the wall-clock time in a timezone
+ * @param {Date} date - Date to convert
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} - Floating date
+ */
+function toWallClock(date, timezone) {
+  return new Date(date.getTime() + getTimezoneOffset(timezone, date));
+}
+
+/**
+ * Convert a floating date back to the date it stands for in a timezone
+ * @param {Date} wallClock - Floating date
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} - Date
+ */
+function fromWallClock(wallClock, timezone) {
+  // Near DST changes the offset at the wall-clock time is off by the shift, so correct it once
+  const guess = new Date(wallClock.getTime() - getTimezoneOffset(timezone, wallClock));
+  return new Date(wallClock.getTime() - getTimezoneOffset(timezone, guess));
+}
+
+/**
+ * Build the recurrence rule of a window
+ * RRULEs should set BYHOUR/BYMINUTE or a DTSTART, otherwise occurrences start at the
+ * wall-clock time of startTime. Times in an RRULE are wall-clock times in the window's timezone.
+ * @param {Object} window - Maintenance window
+ * @returns {Object} - { before(date), after(date) } returning occurrence start times
+ * @throws {Error} - When the rule is invalid
+ */
+function getRecurrence(window) {
+  const timezone = window.timezone || 'UTC';
+
+  if (window.recurrence === 'cron') {
+    // Fails early on invalid expressions
+    CronExpressionParser.parse(window.rule, { tz: timezone });
+
+    return {
+      // Occurrence starting at or before the date
+      before: (date) => CronExpressionParser.parse(window.rule, {
+        currentDate: new Date(date.getTime() + 1000),
+        tz: timezone
+      }).prev().toDate(),
+      after: (date) => CronExpressionParser.parse(window.rule, {
+        currentDate: date,
+        tz: timezone
+      }).next().toDate()
+    };
+  }
+
+  if (window.recurrence === 'rrule') {
+    // rrule shifts TZID rules by the host's timezone, so the rule is evaluated on floating
+    // dates and its occurrences are converted with the window's timezone instead
+    const dtstart = toWallClock(window.startTime ? new Date(window.startTime) : new Date(), timezone);
+    dtstart.setUTCSeconds(0, 0);
+    const rule = rrulestr(window.rule.replace(/;TZID=[^:;]+/gi, ''), {
+      ...(!/DTSTART/i.test(window.rule) && { dtstart })
+    });
+
+    const find = (occurrence) => occurrence ? fromWallClock(occurrence, timezone) : null;
+    return {
+      before: (date) => find(rule.before(toWallClock(date, timezone), true)),
+      after: (date) => find(rule.after(toWallClock(date, timezone), false))
+    };
+  }
+
+  throw new Error(`Unknown recurrence: ${window.recurrence}`);
+}
+
+/**
+ * Validate the schedule of a window
+ * @param {Object} window - Maintenance window
+ * @returns {string|null} - Error message, or null if the schedule is valid
+ */
+function validateMaintenanceWindow(window) {
+  if (!isValidTimezone(window.timezone || 'UTC')) {
+    return `Unknown timezone: ${window.timezone}`;
+  }
+
+  if (!window.recurrence || window.recurrence === 'none') {
+    if (!window.startTime || !window.endTime) {
+      return 'One-off maintenance needs a start and end time';
+    }
+    if (new Date(window.endTime) <= new Date(window.startTime)) {
+      return 'End time must be after the start time';
+    }
+    return null;
+  }
+
+  if (!window.rule) {
+    return 'Recurring maintenance needs a cron expression or RRULE';
+  }
+  if (!window.duration || window.duration < 1) {
+    return 'Recurring maintenance needs a duration';
+  }
+
+  try {
+    getRecurrence(window);
+  } catch (error) {
+    return `Invalid ${window.recurrence === 'cron' ? 'cron expression' : 'RRULE'}: ${error.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the occurrence of a window covering a date
+ * For recurring windows, startTime and endTime bound the period in which occurrences start.
+ * @param {Object} window - Maintenance window
+ * @param {Date} date - Date to evaluate
+ * @returns {Object|null} - { start, end } of the occurrence, or null outside the window
+ */
+function getOccurrenceAt(window, date = new Date()) {
+  if (!window.recurrence || window.recurrence === 'none') {
+    const start = new Date(window.startTime);
+    const end = new Date(window.endTime);
+    return date >= start && date < end ? { start, end } : null;
+  }
+
+  const start = getRecurrence(window).before(date);
+  if (!start) return null;
+  if (window.startTime && start < new Date(window.startTime)) return null;
+  if (window.endTime && start >= new Date(window.endTime)) return null;
+
+  const end = new Date(start.getTime() + window.duration * 60 * 1000);
+  return date < end ? { start, end } : null;
+}
+
+/**
+ * List the current and next occurrences of a window
+ * @param {Object} window - Maintenance window
+ * @param {Date} from - Start of the listing
+ * @param {number} count - Maximum number of occurrences
+ * @returns {Array} - Occurrences as { start, end }
+ */
+function getUpcomingOccurrences(window, from = new Date(), count = 3) {
+  const current = getOccurrenceAt(window, from);
+
+  if (!window.recurrence || window.recurrence === 'none') {
+    const start = new Date(window.startTime);
+    return current || start > from ? [{ start, end: new Date(window.endTime) }] : [];
+  }
+
+  const occurrences = current ? [current] : [];
+  const recurrence = getRecurrence(window);
+  let cursor = window.startTime && new Date(window.startTime) > from
+    ? new Date(new Date(window.startTime).getTime() - 1)
+    : from;
+
+  while (occurrences.length < count) {
+    const start = recurrence.after(cursor);
+    if (!start || (window.endTime && start >= new Date(window.endTime))) break;
+
+    occurrences.push({ start, end: new Date(start.getTime() + window.duration * 60 * 1000) });
+    cursor = start;
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  isValidTimezone,
+  validateMaintenanceWindow,
+  getOccurrenceAt,
+  getUpcomingOccurrences
+};
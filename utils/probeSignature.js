@@ -0,0 +1,104 @@
+/**
+ * Utility to sign and verify probe results with Ed25519 keys
+ * Shared by the server and probe clients, so both build the same signed message.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value as JSON with sorted object keys
+ * Values are converted like JSON.stringify (e.g. dates become ISO strings), so a result
+ * signed before it is sent verifies after it was parsed on the other side.
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (value && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined || typeof item === 'function' ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Build the message a probe signs for a result
+ * @param {Object} submission - { jobId, monitorId, timestamp, result }
+ * @returns {Buffer} - Signed message
+ */
+function getSignedMessage({ jobId, monitorId, timestamp, result }) {
+  return Buffer.from(canonicalJson({
+    jobId: String(jobId),
+    monitorId: String(monitorId),
+    timestamp,
+    result
+  }));
+}
+
+/**
+ * Parse an Ed25519 public key
+ * @param {string} publicKey - PEM (SPKI) public key
+ * @returns {Object} - { keyId, publicKey } with the key re-encoded as PEM
+ * @throws {Error} - When the key is invalid or not an Ed25519 key
+ */
+function parsePublicKey(publicKey) {
+  let key;
+  try {
+    key = crypto.createPublicKey(publicKey);
+  } catch (error) {
+    throw new Error('Invalid public key');
+  }
+
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error('Public key must be an Ed25519 key');
+  }
+
+  const der = key.export({ type: 'spki', format: 'der' });
+  return {
+    keyId: crypto.createHash('sha256').update(der).digest('hex').slice(0, 32),
+    publicKey: key.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+/**
+ * Sign a result
+ * @param {Object} submission - { jobId, monitorId, timestamp, result }
+ * @param {string} privateKey - PEM (PKCS8) Ed25519 private key
+ * @returns {string} - Signature (base64)
+ */
+function signResult(submission, privateKey) {
+  return crypto.sign(null, getSignedMessage(submission), privateKey).toString('base64');
+}
+
+/**
+ * Verify the signature of a result
+ * @param {Object} submission - { jobId, monitorId, timestamp, result }
+ * @param {string} signature - Signature (base64)
+ * @param {string} publicKey - PEM (SPKI) Ed25519 public key
+ * @returns {boolean} - True if the signature matches
+ */
+function verifyResult(submission, signature, publicKey) {
+  try {
+    return crypto.verify(null, getSignedMessage(submission), publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  canonicalJson,
+  parsePublicKey,
+  signResult,
+  verifyResult
+};
@@ -0,0 +1,181 @@
+/**
+ * Utility to build and redact the custom HTTP request settings of a monitor
+ */
+
+// Placeholder returned to clients in place of stored secrets
+const REDACTED = '********';
+
+// Headers whose values are treated as secrets
+const SENSITIVE_HEADER_PATTERN = /^(authorization|proxy-authorization|cookie)$|key|token|secret|password/i;
+
+/**
+ * Convert stored headers (Mongoose Map or plain object) to a plain object
+ * @param {Map|Object} headers - Stored headers
+ * @returns {Object} - Plain header object
+ */
+function toHeaderObject(headers) {
+  if (!headers) return {};
+  return headers instanceof Map ? Object.fromEntries(headers) : { ...headers };
+}
+
+/**
+ * Build axios request options from a monitor's request settings
+ * @param {Object} request - Monitor request settings
+ * @returns {Object} - Axios options (method, headers, data, auth)
+ */
+function buildRequestOptions(request = {}) {
+  const headers = toHeaderObject(request.headers);
+  const auth = request.auth || {};
+  const options = {
+    method: (request.method || 'GET').toLowerCase(),
+    headers
+  };
+
+  if (request.body && options.method !== 'get' && options.method !== 'head') {
+    options.data = request.body;
+
+    const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+    if (!hasContentType) {
+      let isJson = true;
+      try {
+        JSON.parse(request.body);
+      } catch (error) {
+        isJson = false;
+      }
+      headers['Content-Type'] = isJson ? 'application/json' : 'text/plain';
+    }
+  }
+
+  if (auth.scheme === 'basic') {
+    options.auth = { username: auth.username || '', password: auth.password || '' };
+  } else if (auth.scheme === 'bearer' && auth.token) {
+    headers.Authorization = `Bearer ${auth.token}`;
+  }
+
+  return options;
+}
+
+/**
+ * Get a copy of a monitor's request settings that is safe to return from the API
+ * Request bodies often carry credentials (e.g. login steps), so only whether one is set is returned.
+ * @param {Object} request - Monitor request settings
+ * @returns {Object} - Request settings with secrets replaced
+ */
+function redactRequestConfig(request) {
+  if (!request) return null;
+
+  const headers = toHeaderObject(request.headers);
+  for (const name of Object.keys(headers)) {
+    if (SENSITIVE_HEADER_PATTERN.test(name)) {
+      headers[name] = REDACTED;
+    }
+  }
+
+  const auth = request.auth || {};
+
+  return {
+    method: request.method || 'GET',
+    headers,
+    body: request.body ? REDACTED : null,
+    auth: {
+      scheme: auth.scheme || 'none',
+      username: auth.username || null,
+      password: auth.password ? REDACTED : null,
+      token: auth.token ? REDACTED : null
+    }
+  };
+}
+
+/**
+ * Check whether request settings carry secrets: auth credentials, sensitive headers or a body
+ * @param {Object} request - Request settings
+ * @returns {boolean} - True if the settings must stay on the server
+ */
+function hasRequestSecrets(request) {
+  if (!request) return false;
+
+  const auth = request.auth || {};
+  if (auth.password || auth.token || request.body) return true;
+
+  return Object.keys(toHeaderObject(request.headers)).some(name => SENSITIVE_HEADER_PATTERN.test(name));
+}
+
+/**
+ * Merge request settings submitted by a client into the stored settings.
+ * Secrets the client echoed back as the redaction placeholder keep their stored value.
+ * @param {Object} current - Stored request settings
+ * @param {Object} incoming - Submitted request settings
+ * @returns {Object} - Request settings to store
+ */
+function mergeRequestConfig(current = {}, incoming = {}) {
+  const currentHeaders = toHeaderObject(current && current.headers);
+  const currentAuth = (current && current.auth) || {};
+  const headers = incoming.headers !== undefined ? toHeaderObject(incoming.headers) : currentHeaders;
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === REDACTED) {
+      headers[name] = currentHeaders[name];
+    }
+  }
+
+  const auth = { ...(incoming.auth || {}) };
+  if (incoming.auth === undefined) {
+    Object.assign(auth, {
+      scheme: currentAuth.scheme,
+      username: currentAuth.username,
+      password: currentAuth.password,
+      token: currentAuth.token
+    });
+  }
+  if (auth.password === REDACTED) auth.password = currentAuth.password;
+  if (auth.token === REDACTED) auth.token = currentAuth.token;
+
+  const currentBody = (current && current.body) || null;
+  const body = incoming.body !== undefined && incoming.body !== REDACTED ? incoming.body : currentBody;
+
+  return {
+    method: incoming.method || (current && current.method) || 'GET',
+    headers,
+    body,
+    auth
+  };
+}
+
+/**
+ * Get a copy of a transaction monitor's steps that is safe to return from the API
+ * @param {Array} steps - Transaction steps
+ * @returns {Array} - Steps with request secrets replaced
+ */
+function redactTransactionSteps(steps = []) {
+  return steps.map(step => ({
+    name: step.name,
+    url: step.url,
+    request: redactRequestConfig(step.request),
+    expectedStatusCode: step.expectedStatusCode,
+    assertions: step.assertions,
+    extract: step.extract
+  }));
+}
+
+/**
+ * Merge submitted transaction steps into the stored steps, matching them by position
+ * @param {Array} current - Stored steps
+ * @param {Array} incoming - Submitted steps
+ * @returns {Array} - Steps to store
+ */
+function mergeTransactionSteps(current = [], incoming = []) {
+  return incoming.map((step, index) => ({
+    ...step,
+    request: mergeRequestConfig(current[index] && current[index].request, step.request || {})
+  }));
+}
+
+module.exports = {
+  REDACTED,
+  buildRequestOptions,
+  redactRequestConfig,
+  hasRequestSecrets,
+  mergeRequestConfig,
+  redactTransactionSteps,
+  mergeTransactionSteps
+};
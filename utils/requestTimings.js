@@ -0,0 +1,99 @@
+/**
+ * Utility to measure the phases of an HTTP request (DNS, connect, TLS, TTFB, download)
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Phases recorded on every HTTP check
+const TIMING_PHASES = ['dns', 'connect', 'tls', 'ttfb', 'download'];
+
+/**
+ * Create HTTP and HTTPS agents that record socket-level timestamps.
+ * Each new connection (e.g. after a redirect) restarts the measurement, so the
+ * reported phases describe the connection that produced the final response.
+ * @param {Object} httpsOptions - Options for the HTTPS agent (e.g. rejectUnauthorized)
+ * @returns {Object} - { httpAgent, httpsAgent, finish } where finish() returns the phase timings
+ */
+function createTimedAgents(httpsOptions = {}) {
+  let marks = {};
+
+  const instrument = (socket) => {
+    marks = { start: Date.now() };
+
+    socket.once('lookup', () => { marks.lookup = Date.now(); });
+    socket.once('connect', () => { marks.connect = Date.now(); });
+    socket.once('secureConnect', () => { marks.secureConnect = Date.now(); });
+    socket.once('data', () => { marks.firstByte = Date.now(); });
+
+    return socket;
+  };
+
+  class TimedHttpAgent extends http.Agent {
+    createConnection(options, callback) {
+      return instrument(super.createConnection(options, callback));
+    }
+  }
+
+  class TimedHttpsAgent extends https.Agent {
+    createConnection(options, callback) {
+      return instrument(super.createConnection(options, callback));
+    }
+  }
+
+  /**
+   * Stop the measurement and compute the phase durations
+   * @returns {Object} - Durations in milliseconds (null when a phase did not happen)
+   */
+  const finish = () => {
+    const end = Date.now();
+    const { start, lookup, connect, secureConnect, firstByte } = marks;
+
+    if (!start) {
+      return { dns: null, connect: null, tls: null, ttfb: null, download: null };
+    }
+
+    const connected = secureConnect || connect;
+
+    return {
+      dns: lookup ? lookup - start : 0,
+      connect: connect ? connect - (lookup || start) : null,
+      tls: secureConnect && connect ? secureConnect - connect : null,
+      ttfb: firstByte && connected ? firstByte - connected : null,
+      download: firstByte ? end - firstByte : null
+    };
+  };
+
+  return {
+    httpAgent: new TimedHttpAgent(),
+    httpsAgent: new TimedHttpsAgent(httpsOptions),
+    finish
+  };
+}
+
+/**
+ * Average the phase timings of a set of checks
+ * @param {Array} checks - Monitor checks
+ * @returns {Object} - Average duration per phase (null when no check recorded it)
+ */
+function averageTimings(checks) {
+  const averages = {};
+
+  for (const phase of TIMING_PHASES) {
+    const values = checks
+      .map(check => check.timings && check.timings[phase])
+      .filter(value => typeof value === 'number');
+
+    averages[phase] = values.length > 0
+      ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+  }
+
+  return averages;
+}
+
+module.exports = {
+  TIMING_PHASES,
+  createTimedAgents,
+  averageTimings
+};
@@ -0,0 +1,65 @@
+/**
+ * Utility to parse and match expected HTTP status specifications such as "200-299,301"
+ */
+
+/**
+ * Parse a status specification into inclusive ranges
+ * @param {string|number} spec - Status codes and ranges separated by commas (e.g. "200-299,301")
+ * @returns {Array} - Ranges as [min, max] pairs
+ * @throws {Error} - When the specification is invalid
+ */
+function parseStatusSpec(spec) {
+  const parts = String(spec === undefined || spec === null ? '' : spec)
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part.length > 0);
+
+  if (parts.length === 0) {
+    throw new Error('Expected status must not be empty');
+  }
+
+  return parts.map(part => {
+    const match = part.match(/^(\d{3})(?:\s*-\s*(\d{3}))?$/);
+    if (!match) {
+      throw new Error(`Invalid expected status: ${part}`);
+    }
+
+    const min = parseInt(match[1], 10);
+    const max = match[2] ? parseInt(match[2], 10) : min;
+    if (min < 100 || max > 599 || min > max) {
+      throw new Error(`Invalid expected status: ${part}`);
+    }
+
+    return [min, max];
+  });
+}
+
+/**
+ * Check whether a specification is valid
+ * @param {string|number} spec - Status specification
+ * @returns {boolean} - True if the specification parses
+ */
+function isValidStatusSpec(spec) {
+  try {
+    parseStatusSpec(spec);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a status code matches a specification
+ * @param {string|number} spec - Status specification
+ * @param {number} statusCode - Response status code
+ * @returns {boolean} - True if the status code is expected
+ */
+function matchesStatus(spec, statusCode) {
+  return parseStatusSpec(spec).some(([min, max]) => statusCode >= min && statusCode <= max);
+}
+
+module.exports = {
+  parseStatusSpec,
+  isValidStatusSpec,
+  matchesStatus
+};
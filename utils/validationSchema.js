@@ -1,4 +1,6 @@
 const { z } = require('zod');
+const { isValidTimezone } = require('./maintenanceWindow');
+const { isValidStatusSpec } = require('./statusCodes');
 
 // User validation schemas
 const userRegistrationSchema = z.object({
@@ -15,6 +17,7 @@ const userLoginSchema = z.object({
 const userProfileUpdateSchema = z.object({
   name: z.string().min(2, { message: "Name must be at least 2 characters" }).optional(),
   profilePicture: z.string().optional(),
+  timezone: z.string().refine(isValidTimezone, { message: "Unknown timezone" }).optional(),
   currentPassword: z.string().optional(),
   newPassword: z.string()
     .min(8, { message: "Password must be at least 8 characters" })
@@ -87,10 +90,48 @@ const monitorSchema = z.object({
   websiteId: z.string(),
   checkFrequency: z.number().int().min(1, { message: "Check frequency must be at least 1 minute" }).max(60, { message: "Check frequency cannot exceed 60 minutes" }),
   path: z.string().optional(),
-  expectedStatusCode: z.number().int().optional(),
+  expectedStatusCode: z.union([
+    z.number().int().min(100, { message: "Expected status must be between 100 and 599" }).max(599, { message: "Expected status must be between 100 and 599" }),
+    z.string().refine(isValidStatusSpec, { message: "Expected status must look like 200-299,301" })
+  ]).optional(),
   contentCheck: z.string().optional()
 });
 
+// Maintenance window validation schemas
+const maintenanceWindowFields = {
+  name: z.string().min(1, { message: "Name is required" }),
+  recurrence: z.enum(['none', 'cron', 'rrule'], { message: "Recurrence must be none, cron or rrule" }).optional(),
+  rule: z.string().min(1, { message: "Rule must not be empty" }).optional(),
+  startTime: z.string().datetime({ offset: true, message: "Start time must be an ISO 8601 date" }).nullable().optional(),
+  endTime: z.string().datetime({ offset: true, message: "End time must be an ISO 8601 date" }).nullable().optional(),
+  duration: z.number().int().min(1, { message: "Duration must be at least 1 minute" }).max(7 * 24 * 60, { message: "Duration cannot exceed 7 days" }).optional(),
+  timezone: z.string().optional(),
+  active: z.boolean().optional()
+};
+
+const maintenanceWindowSchema = z.object({
+  ...maintenanceWindowFields,
+  monitorId: z.string().optional(),
+  websiteId: z.string().optional()
+}).refine(data => Boolean(data.monitorId) !== Boolean(data.websiteId), {
+  message: "Provide either monitorId or websiteId",
+  path: ['monitorId']
+});
+
+const maintenanceWindowUpdateSchema = z.object(maintenanceWindowFields).partial();
+
+// Probe registration schema (sent over the /probes Socket.io namespace)
+const probeRegistrationSchema = z.object({
+  probeId: z.string().regex(/^[a-f\d]{24}$/i, { message: "Invalid probe ID" }).optional(),
+  name: z.string().min(1, { message: "Name must not be empty" }).max(100).optional(),
+  region: z.enum(['us-east', 'us-west', 'eu-central', 'ap-south', 'ap-east'], { message: "Unknown region" }),
+  publicKey: z.string().max(1000).optional(),
+  capabilities: z.array(z.string()).max(50).optional(),
+  version: z.string().max(50).optional(),
+  city: z.string().max(100).optional(),
+  country: z.string().max(100).optional()
+});
+
 // OTP verification schema
 const otpVerificationSchema = z.object({
   email: z.string().email({ message: "Invalid email address format" }),
@@ -133,6 +174,9 @@ module.exports = {
   adminProfileUpdateSchema,
   websiteSchema,
   monitorSchema,
+  maintenanceWindowSchema,
+  maintenanceWindowUpdateSchema,
+  probeRegistrationSchema,
   otpVerificationSchema,
   validate
 }; 
\ No newline at end of file